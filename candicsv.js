@@ -1,8 +1,9 @@
+import {once} from "events";
 import fs from "fs";
 
 /**
  * @class CSV
- * @description Generates CSV files; accepts arrays and objects for rows, columns may be scalar or arrays
+ * @description Generates and parses CSV files; accepts arrays and objects for rows, columns may be scalar or arrays
  */
 export class CSV
 {
@@ -11,15 +12,52 @@ export class CSV
 	entries = [];
 	qualifier = "\"";
 	delimeter = ",";
+	quoting = "always";
+	lineEnding = "\n";
+	bom = false;
+	stream = null;
+	ownsStream = false;
+	streamError = null;
+	started = false;
+	expand = "explode";
+	separator = ", ";
+	columns = {};
+	infer = false;
+	flatten = false;
+	locale = null;
+	nullValue = "";
+	schema = null;
+	validation = "throw";
+	validationErrors = [];
+	rowCount = 0;
 
 	/**
 	 * @constructor
 	 * @param {?(object|any[])} headersIn - Array of headers or an object whose keys will become the in-order headers
-	 * @param {object} options - Options object; delimiter and qualifier
+	 * @param {?object} [options] - Options object
+	 * @param {string} [options.delimiter] - The field delimiter; "," by default
+	 * @param {string} [options.qualifier] - The quote character; '"' by default
+	 * @param {string} [options.quoting] - When fields are quoted; "always", "needed" or "never"
+	 * @param {string} [options.lineEnding] - The line ending; "\n" by default
+	 * @param {boolean} [options.bom] - Prefix the file with a UTF-8 BOM for Excel
+	 * @param {(string|Writable)} [options.stream] - A filename or Writable to stream rows to as they are added instead of buffering them; see close
+	 * @param {string} [options.expand] - How array cells are laid out; "explode", "fill", "join" or "spread", see expandRows
+	 * @param {string} [options.separator] - The separator for "join"
+	 * @param {object} [options.columns] - An object of header to column settings; expand and separator, plus those used by typeValue
+	 * @param {string} [options.locale] - The locale for number and currency columns
+	 * @param {string} [options.nullValue] - The text for null or missing values
+	 * @param {boolean} [options.infer] - Add headers for unknown keys passed to addObject, leaving missing keys as empty cells
+	 * @param {(boolean|string)} [options.flatten] - Flatten nested objects passed to addObject into column names joined by "." or the given separator, e.g. address.city
+	 * @param {object} [options.schema] - An object of header to rules; see validateRow
+	 * @param {string} [options.validation] - What happens to rows which break the schema, have the wrong length or have keys with no header; "throw" a CSVValidationError, "skip" them or "keep" them, recording the issues in validationErrors for the latter two
 	 */
 	constructor(headersIn, options = null)
 	{
-		if( typeof headersIn === "object" && !Array.isArray(headersIn))
+		if( !headersIn )
+		{
+			this.headers = [];
+		}
+		else if( typeof headersIn === "object" && !Array.isArray(headersIn))
 		{
 			this.headers = Object.keys(headersIn);
 		}
@@ -28,127 +66,1614 @@ export class CSV
 			this.headers = headersIn;
 		}
 
-		if(options)
-		{
-			for(const option of Object.keys(options))
+		if(options)
+		{
+			for(const option of Object.keys(options))
+			{
+				const value = options[option];
+
+				switch(option.toLowerCase())
+				{
+					case "qualifier":
+						this.qualifier = value;
+						break;
+					case "delimiter":
+						this.delimeter = value;
+						break;
+					case "quoting":
+						this.quoting = checkQuoting(value);
+						break;
+					case "lineending":
+						this.lineEnding = value;
+						break;
+					case "bom":
+						this.bom = value;
+						break;
+					case "expand":
+						this.expand = value;
+						break;
+					case "separator":
+						this.separator = value;
+						break;
+					case "columns":
+						this.columns = value;
+						break;
+					case "locale":
+						this.locale = value;
+						break;
+					case "nullvalue":
+						this.nullValue = value;
+						break;
+					case "infer":
+						this.infer = value;
+						break;
+					case "flatten":
+						this.flatten = value;
+						break;
+					case "schema":
+						this.schema = value;
+						break;
+					case "validation":
+						if(!validationModes.includes(value))
+						{
+							throw "Invalid validation mode: " + value;
+						}
+
+						this.validation = value;
+						break;
+					case "stream":
+						if(typeof value === "string")
+						{
+							this.stream = fs.createWriteStream(value);
+							this.ownsStream = true;
+						}
+						else
+						{
+							this.stream = value;
+						}
+
+						this.stream.on("error", err => this.streamError = err);
+						break;
+					default:
+						throw "Unrecognised option: " + option;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Adds an array as a line
+	 * @function addLine
+	 * @param {any[]} line - Array of data (represents a row)
+	 * @returns {?Promise<void>} - In streaming mode, resolves once the stream is ready for more rows
+	 */
+	addLine(line)
+	{
+		const issues = [];
+
+		if(line.length !== this.headers.length)
+		{
+			issues.push({column: null, value: line, rule: "length", message: "Input length " + line.length + "; expected " + this.headers.length});
+			line = this.headers.map((header, col) => line[col]);
+		}
+
+		const row = new CSVEntry(this.headers, line);
+		this.currentLine = line;
+		return this.addEntry(row, issues);
+	}
+
+	/**
+	 * Adds an object to the CSV file; the headers are used to match the object's keys
+	 * @function addObject
+	 * @param {object} obj
+	 * @returns {?Promise<void>} - In streaming mode, resolves once the stream is ready for more rows
+	 */
+	addObject(obj)
+	{
+		if(!obj || typeof obj !== "object")
+		{
+			throw "Expected object";
+		}
+
+		if(this.flatten)
+		{
+			obj = flattenObject(obj, this.flatten === true ? "." : this.flatten);
+		}
+
+		if(this.infer)
+		{
+			for(const key of Object.keys(obj))
+			{
+				if(!this.headers.includes(key))
+				{
+					this.addHeader(key);
+				}
+			}
+		}
+
+		const issues = [];
+
+		if(!this.infer && Object.keys(obj).length !== this.headers.length)
+		{
+			issues.push({column: null, value: Object.keys(obj).join(", "), rule: "length", message: "Object has " + Object.keys(obj).length + " keys but expected " + this.headers.length});
+		}
+
+		const row = new CSVEntry(this.headers);
+
+		for(const key of Object.keys(obj))
+		{
+			const value = obj[key];
+
+			if(!this.headers.includes(key))
+			{
+				issues.push({column: key, value: value, rule: "header", message: "Could not find header " + key});
+				continue;
+			}
+
+			row.add(key, value);
+		}
+
+		return this.addEntry(row, issues);
+	}
+
+	/**
+	 * Adds a header; entries which were added before it have an empty cell in the new column
+	 * @function addHeader
+	 * @param {string} header - The header
+	 * @throws Error if the header row has already been streamed
+	 */
+	addHeader(header)
+	{
+		if(this.started)
+		{
+			throw "Cannot add header " + header + " in streaming mode after rows have been written";
+		}
+
+		this.headers.push(header);
+	}
+
+	/**
+	 * Buffers the entry, or writes it straight out in streaming mode
+	 * @function addEntry
+	 * @param {CSVEntry} entry - The entry
+	 * @param {object[]} [issues] - Issues already found while building the entry; see validate
+	 * @returns {?Promise<void>}
+	 */
+	addEntry(entry, issues = [])
+	{
+		if(!this.validate(entry, issues))
+		{
+			return null;
+		}
+
+		if(this.stream)
+		{
+			const format = this.getFormat();
+
+			if(this.headers.some(header => getExpansion(header, format).strategy === "spread"))
+			{
+				throw "Cannot spread array cells into columns in streaming mode";
+			}
+
+			return this.writeRows(expandRows(this.headers, [entry.data], format).rows);
+		}
+
+		this.entries.push(entry);
+		return null;
+	}
+
+	/**
+	 * Validates an entry against the schema
+	 * @function validate
+	 * @param {CSVEntry} entry - The entry
+	 * @param {object[]} [issues] - Issues already found while building the entry (a wrong length or an unknown header); column, value, rule and message
+	 * @returns {boolean} - Whether the entry should be added
+	 * @throws CSVValidationError if the entry is invalid and the validation mode is "throw"
+	 */
+	validate(entry, issues = [])
+	{
+		this.rowCount++;
+
+		for(const issue of issues)
+		{
+			issue.row = this.rowCount;
+			issue.message = "Row " + this.rowCount + (issue.column ? ", column " + issue.column : "") + ": " + issue.message;
+		}
+
+		if(this.schema)
+		{
+			issues = issues.concat(validateRow(this.schema, entry.toObject(), this.rowCount));
+		}
+
+		if(issues.length === 0)
+		{
+			return true;
+		}
+
+		if(this.validation === "throw")
+		{
+			throw new CSVValidationError(issues);
+		}
+
+		this.validationErrors.push(...issues);
+		return this.validation === "keep";
+	}
+
+	/**
+	 * Writes the validation issues collected in "skip" or "keep" mode to a csv file
+	 * @function writeReport
+	 * @param {string} filename - The filename to write the report to
+	 */
+	writeReport(filename)
+	{
+		const report = new CSV(["row", "column", "value", "rule", "message"], {
+			qualifier : this.qualifier,
+			delimiter : this.delimeter,
+			lineEnding: this.lineEnding,
+			bom       : this.bom,
+			expand    : "join"
+		});
+
+		for(const issue of this.validationErrors)
+		{
+			report.addLine([issue.row, issue.column, issue.value, issue.rule, issue.message]);
+		}
+
+		report.writeFile(filename);
+	}
+
+	/**
+	 * Writes rows to the stream, preceded by the header row if nothing has been written yet; waits for the stream to drain if its buffer is full
+	 * @function writeRows
+	 * @param {any[][]} rows - The rows
+	 * @returns {Promise<void>}
+	 */
+	async writeRows(rows)
+	{
+		if(this.streamError)
+		{
+			throw this.streamError;
+		}
+
+		const format = this.getFormat();
+		let text;
+
+		if(this.started)
+		{
+			format.bom = false;
+			text = this.lineEnding + formatRows(rows, format);
+		}
+		else
+		{
+			this.started = true;
+			text = formatRows([this.headers].concat(rows), format);
+		}
+
+		if(!this.stream.write(text))
+		{
+			await this.waitForStream("drain");
+		}
+	}
+
+	/**
+	 * Waits for an event on the stream, rejecting with the stream's error if it fails first or has already failed
+	 * @function waitForStream
+	 * @param {string} event - The event
+	 * @returns {Promise<void>}
+	 */
+	async waitForStream(event)
+	{
+		if(this.streamError)
+		{
+			throw this.streamError;
+		}
+
+		//Whichever wait loses is aborted so its listeners do not pile up on the stream
+		const controller = new AbortController();
+
+		try
+		{
+			await Promise.race([once(this.stream, event, {signal: controller.signal}), once(this.stream, "close", {signal: controller.signal}).then(() =>
+			{
+				if(this.streamError)
+				{
+					throw this.streamError;
+				}
+			})]);
+		}
+		finally
+		{
+			controller.abort();
+		}
+	}
+
+	/**
+	 * Finishes streaming; writes the header row if no rows were added, then ends the stream if it was opened from a filename, or waits for a given stream to drain
+	 * @function close
+	 * @returns {Promise<void>}
+	 */
+	async close()
+	{
+		if(!this.stream)
+		{
+			throw "Not in streaming mode";
+		}
+
+		if(!this.started)
+		{
+			await this.writeRows([]);
+		}
+
+		if(this.ownsStream)
+		{
+			this.stream.end();
+			await this.waitForStream("finish");
+		}
+		else if(this.stream.writableNeedDrain)
+		{
+			await this.waitForStream("drain");
+		}
+	}
+
+	/**
+	 * Writes the csv file
+	 * @function writeFile
+	 * @param {string} filename - The filename to write the csv to
+	 * @param {string} [format] - The output format; see serialize
+	 * @param {?object} [options] - Options passed to the serializer, overriding this CSV's format settings
+	 */
+	writeFile(filename, format = "csv", options = null)
+	{
+		if(this.stream)
+		{
+			throw "Cannot write file in streaming mode; rows are written as they are added";
+		}
+
+		const text = this.serialize(format, options);
+		fs.writeFileSync(filename,text);
+	}
+
+	/**
+	 * Appends the entries to an existing csv file, whose header row must match this CSV's; writes a new file if it does not exist
+	 * @function appendFile
+	 * @param {string} filename - The filename of the csv
+	 * @returns {object} - Summary; inserted, updated and unchanged row counts
+	 * @throws Error if the file's header row does not match
+	 */
+	appendFile(filename)
+	{
+		const table = this.getOutputTable("append");
+		const format = this.getFormat();
+		const summary = {
+			inserted : this.entries.length,
+			updated  : 0,
+			unchanged: 0
+		};
+
+		if(!fs.existsSync(filename))
+		{
+			fs.writeFileSync(filename, formatRows([table.headers].concat(table.rows), format));
+			return summary;
+		}
+
+		const text = fs.readFileSync(filename).toString();
+		this.checkHeaderRow(filename, text, table.headers);
+
+		if(table.rows.length === 0)
+		{
+			return summary;
+		}
+
+		format.bom = false;
+		const separator = text.endsWith("\n") ? "" : this.lineEnding;
+		fs.appendFileSync(filename, separator + formatRows(table.rows, format));
+		return summary;
+	}
+
+	/**
+	 * Merges the entries into an existing csv file by a primary key column; rows with a new key are added, rows whose key exists replace the existing row if they differ, and other existing rows are kept; writes a new file if it does not exist
+	 * @function mergeFile
+	 * @param {string} filename - The filename of the csv
+	 * @param {string} key - The header of the primary key column
+	 * @returns {object} - Summary; inserted, updated and unchanged (matching an existing row exactly) row counts
+	 * @throws Error if the file's header row does not match
+	 */
+	mergeFile(filename, key)
+	{
+		const table = this.getOutputTable("merge");
+		const keyIndex = table.headers.indexOf(key);
+		const summary = {
+			inserted : 0,
+			updated  : 0,
+			unchanged: 0
+		};
+
+		if(keyIndex === -1)
+		{
+			throw "Could not find header " + key;
+		}
+
+		let blocks = [];
+
+		if(fs.existsSync(filename))
+		{
+			const text = fs.readFileSync(filename).toString();
+			this.checkHeaderRow(filename, text, table.headers);
+			blocks = splitBlocks(parseRows(text, this.qualifier, this.delimeter).slice(1), keyIndex);
+		}
+
+		const entryBlocks = [];
+		let start = 0;
+
+		for(const count of table.counts)
+		{
+			entryBlocks.push(table.rows.slice(start, start + count));
+			start += count;
+		}
+
+		const positions = new Map();
+
+		for(let x = 0; x < blocks.length; x++)
+		{
+			if(!positions.has(blocks[x][0][keyIndex]))
+			{
+				positions.set(blocks[x][0][keyIndex], x);
+			}
+		}
+
+		for(const block of entryBlocks)
+		{
+			const position = positions.get(block[0][keyIndex]);
+
+			if(position === undefined)
+			{
+				positions.set(block[0][keyIndex], blocks.length);
+				blocks.push(block);
+				summary.inserted++;
+			}
+			else if(JSON.stringify(blocks[position]) === JSON.stringify(block))
+			{
+				summary.unchanged++;
+			}
+			else
+			{
+				blocks[position] = block;
+				summary.updated++;
+			}
+		}
+
+		const rows = [table.headers];
+
+		for(const block of blocks)
+		{
+			rows.push(...block);
+		}
+
+		fs.writeFileSync(filename, formatRows(rows, this.getFormat()));
+		return summary;
+	}
+
+	/**
+	 * Lays out the entries as they would be written, with every cell as text
+	 * @function getOutputTable
+	 * @param {string} action - The action needing the entries, for the error message
+	 * @returns {object} - The headers and output rows
+	 */
+	getOutputTable(action)
+	{
+		const rows = this.getEntries(action).map(entry => entry.data);
+		const table = expandRows(this.headers, rows, this.getFormat());
+		table.rows = table.rows.map(row => row.map(fieldText));
+		return table;
+	}
+
+	/**
+	 * Checks the header row of existing csv text matches the given headers
+	 * @function checkHeaderRow
+	 * @param {string} filename - The filename, for the error message
+	 * @param {string} text - The csv text
+	 * @param {string[]} headers - The expected headers
+	 * @throws Error if the header row does not match
+	 */
+	checkHeaderRow(filename, text, headers)
+	{
+		const rows = parseRows(text, this.qualifier, this.delimeter);
+		const found = rows.length > 0 ? rows[0] : [];
+
+		if(JSON.stringify(found) !== JSON.stringify(headers.map(fieldText)))
+		{
+			throw "Header row of " + filename + " does not match; expected " + headers.join(this.delimeter) + " but found " + found.join(this.delimeter);
+		}
+	}
+
+	/**
+	 * Renders the entries in the given output format
+	 * @function serialize
+	 * @param {string} [format] - The format name; csv, tsv, jsonl, markdown, html or any registered format
+	 * @param {?object} [options] - Options passed to the serializer, overriding this CSV's format settings
+	 * @returns {string}
+	 */
+	serialize(format = "csv", options = null)
+	{
+		const rows = this.entries.map(entry => entry.data);
+		return serialize(format, this.headers, rows, Object.assign(this.getFormat(), options));
+	}
+
+	/**
+	 * Gets the buffered entries, throwing in streaming mode where rows have already been written
+	 * @function getEntries
+	 * @param {string} action - The action needing the entries, for the error message
+	 * @returns {CSVEntry[]}
+	 */
+	getEntries(action)
+	{
+		if(this.stream)
+		{
+			throw "Cannot " + action + " in streaming mode; rows are written as they are added";
+		}
+
+		return this.entries;
+	}
+
+	/**
+	 * Sorts the entries by one or more headers; later headers break ties in earlier ones
+	 * @function sort
+	 * @param {...(string|object)} keys - Headers, or objects with header, descending and comparator (a function comparing two values; numbers are compared numerically and everything else as text if not given)
+	 * @returns {CSV}
+	 */
+	sort(...keys)
+	{
+		const entries = this.getEntries("sort");
+		const sorters = keys.map(key =>
+		                         {
+			                         const sorter = typeof key === "string" ? {header: key} : key;
+
+			                         if(!this.headers.includes(sorter.header))
+			                         {
+				                         throw "Could not find header " + sorter.header;
+			                         }
+
+			                         return {
+				                         header    : sorter.header,
+				                         direction : sorter.descending ? -1 : 1,
+				                         comparator: sorter.comparator ? sorter.comparator : compareValues
+			                         };
+		                         });
+
+		entries.sort((entryA, entryB) =>
+		             {
+			             for(const sorter of sorters)
+			             {
+				             const result = sorter.comparator(entryA.get(sorter.header), entryB.get(sorter.header));
+
+				             if(result)
+				             {
+					             return result * sorter.direction;
+				             }
+			             }
+
+			             return 0;
+		             });
+
+		return this;
+	}
+
+	/**
+	 * Removes the entries which do not pass the predicate
+	 * @function filter
+	 * @param {function} predicate - A function taking the entry as an object keyed by the headers and returning whether to keep it
+	 * @returns {CSV}
+	 */
+	filter(predicate)
+	{
+		this.entries = this.getEntries("filter").filter(entry => predicate(entry.toObject()));
+		return this;
+	}
+
+	/**
+	 * Removes entries which duplicate an earlier entry in the given headers
+	 * @function dedupe
+	 * @param {?string[]} [keys] - The headers which identify an entry; all headers if not given
+	 * @param {boolean} [keepLast] - Whether to keep the last duplicate rather than the first
+	 * @returns {CSV}
+	 */
+	dedupe(keys = null, keepLast = false)
+	{
+		const entries = this.getEntries("dedupe");
+		const headers = keys ? keys : this.headers;
+		const seen = new Map();
+
+		for(const header of headers)
+		{
+			if(!this.headers.includes(header))
+			{
+				throw "Could not find header " + header;
+			}
+		}
+
+		for(const entry of entries)
+		{
+			const key = JSON.stringify(headers.map(header => entry.get(header)));
+
+			if(keepLast || !seen.has(key))
+			{
+				seen.set(key, entry);
+			}
+		}
+
+		const kept = new Set(seen.values());
+		this.entries = entries.filter(entry => kept.has(entry));
+		return this;
+	}
+
+	/**
+	 * Gets the output format settings of this CSV for use with formatRows
+	 * @function getFormat
+	 * @returns {object}
+	 */
+	getFormat()
+	{
+		return {
+			qualifier : this.qualifier,
+			delimiter : this.delimeter,
+			quoting   : this.quoting,
+			lineEnding: this.lineEnding,
+			bom       : this.bom,
+			expand    : this.expand,
+			separator : this.separator,
+			columns   : this.columns,
+			locale    : this.locale,
+			nullValue : this.nullValue
+		};
+	}
+
+	/**
+	 * Parses CSV text into rows
+	 * @function parse
+	 * @param {string} text - The CSV text
+	 * @param {?object} [options] - Options object
+	 * @param {string} [options.delimiter] - The field delimiter; "," by default
+	 * @param {string} [options.qualifier] - The quote character; '"' by default
+	 * @param {boolean} [options.objects] - Return objects keyed by the header row
+	 * @param {(boolean|string)} [options.group] - Merge the extra rows generated by array cells back into arrays; true to use the first column as the key, or a header name
+	 * @returns {(any[][]|object[])} - The rows (including the header row) or the objects
+	 */
+	static parse(text, options = null)
+	{
+		let qualifier = "\"";
+		let delimeter = ",";
+		let objects = false;
+		let group = false;
+
+		if(options)
+		{
+			for(const option of Object.keys(options))
+			{
+				const value = options[option];
+
+				switch(option.toLowerCase())
+				{
+					case "qualifier":
+						qualifier = value;
+						break;
+					case "delimiter":
+						delimeter = value;
+						break;
+					case "objects":
+						objects = value;
+						break;
+					case "group":
+						group = value;
+						break;
+					default:
+						throw "Unrecognised option: " + option;
+				}
+			}
+		}
+
+		const rows = parseRows(text, qualifier, delimeter);
+
+		if(!objects && !group)
+		{
+			return rows;
+		}
+
+		const headers = rows.length > 0 ? rows[0] : [];
+		let data = rows.slice(1);
+
+		if(group)
+		{
+			let keyIndex = 0;
+
+			if(typeof group === "string")
+			{
+				keyIndex = headers.indexOf(group);
+
+				if(keyIndex === -1)
+				{
+					throw "Could not find header " + group;
+				}
+			}
+
+			data = groupRows(data, keyIndex);
+		}
+
+		if(!objects)
+		{
+			return [headers].concat(data);
+		}
+
+		return data.map(row =>
+		                {
+			                const obj = {};
+
+			                for(let col = 0; col < headers.length; col++)
+			                {
+				                obj[headers[col]] = col < row.length ? row[col] : "";
+			                }
+
+			                return obj;
+		                });
+	}
+
+	/**
+	 * Reads and parses a CSV file
+	 * @function readFile
+	 * @param {string} filename - The filename to read the csv from
+	 * @param {?object} options - Options object; see parse
+	 * @returns {(any[][]|object[])} - The rows (including the header row) or the objects
+	 */
+	static readFile(filename, options = null)
+	{
+		return CSV.parse(fs.readFileSync(filename).toString(), options);
+	}
+}
+
+const quotingModes = ["always", "needed", "never"];
+
+/**
+ * Validates a quoting mode
+ * @function checkQuoting
+ * @param {string} quoting - The quoting mode
+ * @returns {string}
+ * @throws Error if the quoting mode is not recognised
+ */
+function checkQuoting(quoting)
+{
+	if(!quotingModes.includes(quoting))
+	{
+		throw "Invalid quoting mode: " + quoting;
+	}
+
+	return quoting;
+}
+
+/**
+ * Converts field data to its output text
+ * @function fieldText
+ * @param {any} data - The field data
+ * @returns {string}
+ */
+function fieldText(data)
+{
+	if( data === null || data === undefined )
+	{
+		return "";
+	}
+
+	return String(data);
+}
+
+/**
+ * Formats a single field for output; qualifiers inside the data are doubled as per RFC 4180
+ * @function formatField
+ * @param {any} data - The field data
+ * @param {?object} format - Format object
+ * @param {string} [format.qualifier] - The quote character
+ * @param {string} [format.delimiter] - The field delimiter
+ * @param {string} [format.quoting] - "always" quotes every field, "needed" only those containing the qualifier, delimiter or a line break, "never" none
+ * @returns {string}
+ */
+export function formatField(data, format = null)
+{
+	const qualifier = format && format.qualifier !== undefined ? format.qualifier : "\"";
+	const delimeter = format && format.delimiter !== undefined ? format.delimiter : ",";
+	const quoting = checkQuoting(format && format.quoting ? format.quoting : "always");
+	const text = fieldText(data);
+
+	if( !qualifier || quoting === "never" )
+	{
+		return text;
+	}
+
+	const needed = text.includes(qualifier) || text.includes(delimeter) || text.includes("\r") || text.includes("\n");
+
+	if( quoting === "needed" && !needed )
+	{
+		return text;
+	}
+
+	return qualifier + text.replaceAll(qualifier, qualifier + qualifier) + qualifier;
+}
+
+/**
+ * Formats an array of fields as a single CSV line (without a line ending)
+ * @function formatRow
+ * @param {any[]} row - The fields
+ * @param {?object} format - Format object; see formatField
+ * @returns {string}
+ */
+export function formatRow(row, format = null)
+{
+	const delimeter = format && format.delimiter !== undefined ? format.delimiter : ",";
+	return row.map(data => formatField(data, format)).join(delimeter);
+}
+
+/**
+ * Formats rows of fields as CSV text
+ * @function formatRows
+ * @param {any[][]} rows - The rows
+ * @param {?object} format - Format object; see formatField, plus lineEnding (defaults to "\n") and bom (prefix the text with a UTF-8 BOM)
+ * @returns {string}
+ */
+export function formatRows(rows, format = null)
+{
+	const lineEnding = format && format.lineEnding ? format.lineEnding : "\n";
+	const text = rows.map(row => formatRow(row, format)).join(lineEnding);
+	return (format && format.bom ? "\uFEFF" : "") + text;
+}
+
+/**
+ * Flattens nested objects into a single level object whose keys are the joined key paths; arrays and other values are kept as they are
+ * @function flattenObject
+ * @param {object} obj - The object
+ * @param {string} separator - The key path separator
+ * @param {string} [prefix] - The key path so far
+ * @param {object} [out] - The object to add the flattened keys to
+ * @returns {object}
+ */
+export function flattenObject(obj, separator = ".", prefix = "", out = {})
+{
+	for(const key of Object.keys(obj))
+	{
+		const value = obj[key];
+		const path = prefix + key;
+
+		if(value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype)
+		{
+			flattenObject(value, separator, path + separator, out);
+		}
+		else
+		{
+			out[path] = value;
+		}
+	}
+
+	return out;
+}
+
+const validationModes = ["throw", "skip", "keep"];
+
+/**
+ * Checks whether a value matches a schema type
+ * @function matchesType
+ * @param {any} value - The value
+ * @param {string} type - The type; string, number, boolean or date
+ * @returns {boolean}
+ * @throws Error if the type is not recognised
+ */
+function matchesType(value, type)
+{
+	switch(type)
+	{
+		case "string":
+			return typeof value === "string";
+		case "number":
+			return typeof value === "number" ? !isNaN(value) : typeof value === "string" && value.trim() !== "" && !isNaN(Number(value));
+		case "boolean":
+			return typeof value === "boolean" || ["true", "false"].includes(String(value).toLowerCase());
+		case "date":
+			return !isNaN((value instanceof Date ? value : new Date(value)).getTime());
+		default:
+			throw "Invalid schema type: " + type;
+	}
+}
+
+/**
+ * Validates a row against a schema; empty values are only checked by required
+ * @function validateRow
+ * @param {object} schema - An object of header to rules; required, type (see matchesType), pattern (a regex), values (the allowed values) and validator (a function taking the value and row object and returning true, or false or a message)
+ * @param {object} obj - The row as an object keyed by the headers
+ * @param {number} row - The row number, for the issues
+ * @returns {object[]} - The issues; row, column, value, rule and message
+ */
+export function validateRow(schema, obj, row)
+{
+	const issues = [];
+
+	for(const column of Object.keys(schema))
+	{
+		const rules = schema[column];
+		const value = obj[column];
+		const values = Array.isArray(value) ? value : [value];
+		const empty = values.every(data => data === null || data === undefined || data === "");
+		const issue = (rule, message) => issues.push({
+			                                             row    : row,
+			                                             column : column,
+			                                             value  : value,
+			                                             rule   : rule,
+			                                             message: "Row " + row + ", column " + column + ": " + message
+		                                             });
+
+		if(empty)
+		{
+			if(rules.required)
+			{
+				issue("required", "value is required");
+			}
+
+			continue;
+		}
+
+		for(const data of values)
+		{
+			if(rules.type && !matchesType(data, rules.type))
+			{
+				issue("type", "expected " + rules.type + " but found " + JSON.stringify(data));
+			}
+
+			if(rules.pattern && !new RegExp(rules.pattern).test(fieldText(data)))
+			{
+				issue("pattern", JSON.stringify(data) + " does not match " + rules.pattern);
+			}
+
+			if(rules.values && !rules.values.includes(data))
+			{
+				issue("values", JSON.stringify(data) + " is not one of " + rules.values.join(", "));
+			}
+		}
+
+		if(rules.validator)
+		{
+			const result = rules.validator(value, obj);
+
+			if(result !== true && result !== undefined)
+			{
+				issue("validator", typeof result === "string" ? result : "failed validation");
+			}
+		}
+	}
+
+	return issues;
+}
+
+/**
+ * Compares two cell values for sorting; numbers compare numerically, anything else as text with numeric runs compared by value, and empty values sort last (first when descending)
+ * @function compareValues
+ * @param {any} valueA - The first value
+ * @param {any} valueB - The second value
+ * @returns {number}
+ */
+function compareValues(valueA, valueB)
+{
+	const textA = fieldText(valueA);
+	const textB = fieldText(valueB);
+
+	if(textA === "" || textB === "")
+	{
+		return (textA === "" ? 1 : 0) - (textB === "" ? 1 : 0);
+	}
+
+	if(typeof valueA === "number" && typeof valueB === "number")
+	{
+		return valueA - valueB;
+	}
+
+	return textA.localeCompare(textB, undefined, {numeric: true});
+}
+
+/**
+ * Formats a date using a pattern; YYYY, YY, MM, DD, HH, hh, mm, ss, SSS and A are replaced with the local date parts
+ * @function formatDate
+ * @param {Date} date - The date
+ * @param {string} pattern - The pattern, or "iso" for an ISO 8601 string
+ * @returns {string}
+ */
+export function formatDate(date, pattern = "iso")
+{
+	if(pattern.toLowerCase() === "iso")
+	{
+		return date.toISOString();
+	}
+
+	const pad = (num, length = 2) => String(num).padStart(length, "0");
+	const hours = date.getHours();
+	const parts = {
+		YYYY: date.getFullYear(),
+		YY  : pad(date.getFullYear() % 100),
+		MM  : pad(date.getMonth() + 1),
+		DD  : pad(date.getDate()),
+		HH  : pad(hours),
+		hh  : pad(hours % 12 === 0 ? 12 : hours % 12),
+		mm  : pad(date.getMinutes()),
+		ss  : pad(date.getSeconds()),
+		SSS : pad(date.getMilliseconds(), 3),
+		A   : hours < 12 ? "AM" : "PM"
+	};
+
+	return pattern.replaceAll(/YYYY|YY|MM|DD|HH|hh|mm|ss|SSS|A/g, token => parts[token]);
+}
+
+/**
+ * Converts a value according to its column's type settings; arrays are converted value by value
+ * @function typeValue
+ * @param {any} value - The value
+ * @param {string} header - The column's header
+ * @param {object} settings - Settings object
+ * @param {string} [settings.locale] - The locale for number and currency columns
+ * @param {string} [settings.nullValue] - The text for null or missing values
+ * @param {object} [settings.columns] - An object of header to column settings; type ("string", "number", "boolean", "date" or "currency"), formatter, locale, decimals, currency, dateFormat ("iso" or a pattern, see formatDate), true, false and nullValue
+ * @returns {any}
+ * @throws Error if the type is not recognised or the value cannot be converted
+ */
+function typeValue(value, header, settings)
+{
+	const column = settings.columns && settings.columns[header] ? settings.columns[header] : {};
+
+	if(Array.isArray(value))
+	{
+		return value.map(data => typeValue(data, header, settings));
+	}
+
+	if(value === null || value === undefined)
+	{
+		if(column.nullValue !== undefined)
+		{
+			return column.nullValue;
+		}
+
+		return settings.nullValue !== undefined && settings.nullValue !== null ? settings.nullValue : value;
+	}
+
+	if(column.formatter)
+	{
+		return column.formatter(value);
+	}
+
+	if(!column.type)
+	{
+		return value;
+	}
+
+	const locale = column.locale ? column.locale : (settings.locale ? settings.locale : undefined);
+
+	switch(column.type)
+	{
+		case "string":
+			return String(value);
+		case "number":
+		case "currency":
+			const num = Number(value);
+
+			if(value === "" || isNaN(num))
 			{
-				const value = options[option];
+				throw "Invalid number in column " + header + ": " + value;
+			}
 
-				switch(option.toLowerCase())
-				{
-					case "qualifier":
-						this.qualifier = value;
-						break;
-					case "delimiter":
-						this.delimeter = value;
-						break;
-					default:
-						throw "Unrecognised option: " + option;
-				}
+			const numberOptions = {};
+
+			if(column.type === "currency")
+			{
+				numberOptions.style = "currency";
+				numberOptions.currency = column.currency ? column.currency : "USD";
 			}
-		}
+
+			if(column.decimals !== undefined)
+			{
+				numberOptions.minimumFractionDigits = column.decimals;
+				numberOptions.maximumFractionDigits = column.decimals;
+			}
+
+			if(!locale && column.type === "number" && column.decimals === undefined)
+			{
+				return String(num);
+			}
+
+			return new Intl.NumberFormat(locale, numberOptions).format(num);
+		case "boolean":
+			let bool = Boolean(value);
+
+			if(typeof value === "string")
+			{
+				bool = !["", "0", "false", "no"].includes(value.trim().toLowerCase());
+			}
+
+			if(bool)
+			{
+				return column.true !== undefined ? column.true : "true";
+			}
+
+			return column.false !== undefined ? column.false : "false";
+		case "date":
+			const date = value instanceof Date ? value : new Date(value);
+
+			if(isNaN(date.getTime()))
+			{
+				throw "Invalid date in column " + header + ": " + value;
+			}
+
+			return formatDate(date, column.dateFormat ? column.dateFormat : "iso");
+		default:
+			throw "Invalid column type: " + column.type;
 	}
+}
 
-	/**
-	 * Adds an array as a line
-	 * @function addLine
-	 * @param {any[]} line - Array of data (represents a row)
-	 */
-	addLine(line)
+const expandStrategies = ["explode", "fill", "join", "spread"];
+
+/**
+ * Gets the array-cell expansion strategy and separator for a column
+ * @function getExpansion
+ * @param {string} header - The column's header
+ * @param {object} settings - Settings object; expand, separator and columns
+ * @returns {object}
+ * @throws Error if the strategy is not recognised
+ */
+function getExpansion(header, settings)
+{
+	const column = settings.columns && settings.columns[header] ? settings.columns[header] : {};
+	let strategy = settings.expand ? settings.expand : "explode";
+	let separator = settings.separator !== undefined ? settings.separator : ", ";
+
+	if(column.expand)
 	{
-		const row = new CSVEntry(this.headers, line);
-		this.entries.push(line);
-		this.currentLine = line;
+		strategy = column.expand;
 	}
 
-	/**
-	 * Adds an object to the CSV file; the headers are used to match the object's keys
-	 * @function addObject
-	 * @param {object} obj
-	 */
-	addObject(obj)
+	if(column.separator !== undefined)
 	{
-		const row = new CSVEntry(this.headers);
+		separator = column.separator;
+	}
 
-		if(typeof obj !== "object")
-		{
-			throw "Expected object";
-		}
+	if(!expandStrategies.includes(strategy))
+	{
+		throw "Invalid expansion strategy: " + strategy;
+	}
+
+	return {
+		strategy : strategy,
+		separator: separator
+	};
+}
+
+/**
+ * Lays out rows for output according to each column's array-cell expansion strategy:
+ * "explode" puts array values on extra rows leaving the other columns blank, "fill" also repeats the value above in blank cells,
+ * "join" joins array values into one cell with the separator, and "spread" puts them in numbered columns (tag_1, tag_2...)
+ * @function expandRows
+ * @param {string[]} headers - The headers
+ * @param {any[][]} rows - The rows; columns may be scalar or arrays
+ * @param {?object} settings - Settings object
+ * @param {string} [settings.expand] - The default strategy; "explode" if not given
+ * @param {string} [settings.separator] - The separator for "join"; ", " if not given
+ * @param {object} [settings.columns] - An object of header to column settings; expand, separator and those used by typeValue
+ * @param {string} [settings.locale] - The locale for number and currency columns
+ * @param {string} [settings.nullValue] - The text for null or missing values
+ * @returns {object} - The adjusted headers, the output rows and counts (how many output rows each input row became)
+ */
+export function expandRows(headers, rows, settings = null)
+{
+	settings = settings ? settings : {};
+	const expansions = headers.map(header => getExpansion(header, settings));
+	const widths = [];
+	const outHeaders = [];
+	const fill = [];
 
-		if(Object.keys(obj).length !== this.headers.length)
+	for(let col = 0; col < headers.length; col++)
+	{
+		let width = 1;
+
+		if(expansions[col].strategy === "spread" && !rows.some(row => Array.isArray(row[col])))
 		{
-			throw "Object has " + Object.keys(obj).length + " keys but expected " + headers.length;
+			expansions[col] = {
+				strategy : "explode",
+				separator: expansions[col].separator
+			};
 		}
 
-		for(const key of Object.keys(obj))
+		if(expansions[col].strategy === "spread")
 		{
-			const value = obj[key];
-
-			if(!this.headers.includes(key))
+			for(const row of rows)
 			{
-				throw "Could not find header " + key;
+				if(Array.isArray(row[col]) && row[col].length > width)
+				{
+					width = row[col].length;
+				}
 			}
 
-			row.add(key, value);
+			for(let x = 1; x <= width; x++)
+			{
+				outHeaders.push(headers[col] + "_" + x);
+				fill.push(false);
+			}
+		}
+		else
+		{
+			outHeaders.push(headers[col]);
+			fill.push(expansions[col].strategy === "fill");
 		}
 
-		this.entries.push(row);
+		widths.push(width);
 	}
 
-	/**
-	 * Writes the csv file
-	 * @function writeFile
-	 * @param {string} filename - The filename to write the csv to
-	 */
-	writeFile(filename)
+	const output = [];
+	const counts = [];
+
+	for(const row of rows)
 	{
-		let lines = [this.headers];
-		let text = "";
+		const data = [];
 
-		for( const entry of this.entries )
+		for(let col = 0; col < headers.length; col++)
 		{
-			const line = entry.getOutputRows();
-			lines = lines.concat(line);
-		}
+			const value = typeValue(row[col], headers[col], settings);
+			const expansion = expansions[col];
 
-		for( let row = 0; row < lines.length; row++ )
-		{
-			for( let col = 0; col < lines[row].length; col++ )
+			if(expansion.strategy === "spread")
 			{
-				const data = lines[row][col];
+				const values = Array.isArray(value) ? value : [value];
 
-				if( this.qualifier )
+				for(let x = 0; x < widths[col]; x++)
 				{
-					text += this.qualifier;
+					data.push(x < values.length ? values[x] : "");
 				}
+			}
+			else if(expansion.strategy === "join" && Array.isArray(value))
+			{
+				data.push(value.map(fieldText).join(expansion.separator));
+			}
+			else
+			{
+				data.push(value);
+			}
+		}
+
+		const expanded = new CSVEntry(outHeaders, data).getOutputRows(fill);
+		counts.push(expanded.length);
+		output.push(...expanded);
+	}
+
+	return {
+		headers: outHeaders,
+		rows   : output,
+		counts : counts
+	};
+}
+
+const formats = {};
+
+/**
+ * Registers an output format for use with serialize and CSV.serialize
+ * @function registerFormat
+ * @param {string} name - The format name
+ * @param {function} serializer - A function taking (headers, rows, options) and returning the output text; options holds the CSV's format settings merged with any given options
+ * @param {boolean} [expand] - Whether the serializer is given the extra rows generated by array cells (as in CSVEntry.getOutputRows) or the rows with array cells intact
+ */
+export function registerFormat(name, serializer, expand = true)
+{
+	if(typeof serializer !== "function")
+	{
+		throw "Expected serializer function for format " + name;
+	}
+
+	formats[name.toLowerCase()] = {
+		serializer: serializer,
+		expand    : expand
+	};
+}
+
+/**
+ * Gets a registered output format
+ * @function getFormatHandler
+ * @param {string} name - The format name
+ * @returns {object}
+ * @throws Error if the format is not registered
+ */
+function getFormatHandler(name)
+{
+	const handler = formats[name.toLowerCase()];
+
+	if(!handler)
+	{
+		throw "Unrecognised format: " + name;
+	}
+
+	return handler;
+}
+
+/**
+ * Renders rows in the given output format; array cells are expanded into extra rows for formats which require it, and every cell is converted by its column's type settings either way
+ * @function serialize
+ * @param {string} format - The format name; csv, tsv, jsonl, markdown, html or any registered format
+ * @param {string[]} headers - The headers
+ * @param {any[][]} rows - The rows; columns may be scalar or arrays
+ * @param {?object} options - Options passed to the serializer; see expandRows for array cells and formatRows for csv
+ * @returns {string}
+ */
+export function serialize(format, headers, rows, options = null)
+{
+	const handler = getFormatHandler(format);
+	options = options ? options : {};
+
+	if(!handler.expand)
+	{
+		const typed = rows.map(row => row.map((value, col) => typeValue(value, headers[col], options)));
+		return handler.serializer(headers, typed, options);
+	}
+
+	const layout = expandRows(headers, rows, options);
+	return handler.serializer(layout.headers, layout.rows, options);
+}
+
+/**
+ * Escapes text for use in HTML
+ * @function escapeHtml
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeHtml(text)
+{
+	return text.replaceAll("&", "&amp;")
+	           .replaceAll("<", "&lt;")
+	           .replaceAll(">", "&gt;")
+	           .replaceAll("\"", "&quot;")
+	           .replaceAll("'", "&#39;");
+}
+
+registerFormat("csv", function(headers, rows, options)
+{
+	return formatRows([headers].concat(rows), options);
+});
+
+registerFormat("tsv", function(headers, rows, options)
+{
+	const lineEnding = options.lineEnding ? options.lineEnding : "\n";
+	const escape = data => fieldText(data).replaceAll("\\", "\\\\")
+	                                      .replaceAll("\t", "\\t")
+	                                      .replaceAll("\r", "\\r")
+	                                      .replaceAll("\n", "\\n");
+
+	return [headers].concat(rows).map(row => row.map(escape).join("\t")).join(lineEnding);
+});
+
+registerFormat("jsonl", function(headers, rows)
+{
+	return rows.map(row =>
+	                {
+		                const obj = {};
+
+		                for(let col = 0; col < headers.length; col++)
+		                {
+			                obj[headers[col]] = row[col] === undefined ? null : row[col];
+		                }
+
+		                return JSON.stringify(obj);
+	                }).join("\n");
+}, false);
+
+registerFormat("markdown", function(headers, rows, options)
+{
+	const lineEnding = options.lineEnding ? options.lineEnding : "\n";
+	const escape = data => fieldText(data).replaceAll("|", "\\|").replaceAll(/\r?\n/g, "<br>");
+	const line = row => "| " + row.map(escape).join(" | ") + " |";
+	const lines = [line(headers), line(headers.map(() => "---"))];
+
+	for(const row of rows)
+	{
+		lines.push(line(row));
+	}
+
+	return lines.join(lineEnding);
+});
+
+registerFormat("html", function(headers, rows, options)
+{
+	const lineEnding = options.lineEnding ? options.lineEnding : "\n";
+	const cells = (row, tag) => row.map(data => `<${tag}>${escapeHtml(fieldText(data))}</${tag}>`).join("");
+	const lines = ["<table>", "<thead>", `<tr>${cells(headers, "th")}</tr>`, "</thead>", "<tbody>"];
+
+	for(const row of rows)
+	{
+		lines.push(`<tr>${cells(row, "td")}</tr>`);
+	}
+
+	lines.push("</tbody>", "</table>");
+	return lines.join(lineEnding);
+});
+
+/**
+ * Splits CSV text into rows of fields, honouring qualified fields which may contain delimiters, doubled qualifiers and newlines
+ * @function parseRows
+ * @param {string} text - The CSV text
+ * @param {?string} qualifier - The qualifier
+ * @param {string} delimeter - The delimiter
+ * @returns {string[][]}
+ */
+function parseRows(text, qualifier, delimeter)
+{
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+	let pos = 0;
+
+	if(text.charCodeAt(0) === 0xFEFF)
+	{
+		pos = 1;
+	}
 
-				if( (data === null || !data) && data !== 0 )
+	while(pos < text.length)
+	{
+		if(quoted)
+		{
+			if(text.startsWith(qualifier, pos))
+			{
+				if(text.startsWith(qualifier, pos + qualifier.length))
 				{
-					text += "";
+					field += qualifier;
+					pos += qualifier.length * 2;
 				}
 				else
 				{
-					text += data;
+					quoted = false;
+					pos += qualifier.length;
 				}
+			}
+			else
+			{
+				field += text[pos];
+				pos++;
+			}
+		}
+		else if(qualifier && text.startsWith(qualifier, pos))
+		{
+			quoted = true;
+			pos += qualifier.length;
+		}
+		else if(text.startsWith(delimeter, pos))
+		{
+			row.push(field);
+			field = "";
+			pos += delimeter.length;
+		}
+		else if(text[pos] === "\r" || text[pos] === "\n")
+		{
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+			pos += text.startsWith("\r\n", pos) ? 2 : 1;
+		}
+		else
+		{
+			field += text[pos];
+			pos++;
+		}
+	}
 
-				if( this.qualifier )
-				{
-					text += this.qualifier;
-				}
+	if(quoted)
+	{
+		throw "Unterminated qualifier in CSV text";
+	}
 
-				if( col < lines[row].length - 1 )
-				{
-					text += this.delimeter;
-				}
+	if(field !== "" || row.length > 0)
+	{
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+/**
+ * Splits output rows into blocks of the rows generated by each entry; a row whose key column is empty (as with "explode") or repeats the previous key (as with "fill") continues the previous block
+ * @function splitBlocks
+ * @param {string[][]} rows - The data rows (no header row)
+ * @param {number} keyIndex - The index of the key column
+ * @returns {string[][][]}
+ */
+function splitBlocks(rows, keyIndex)
+{
+	const blocks = [];
+
+	for(const row of rows)
+	{
+		if(blocks.length === 0 || (row[keyIndex] && row[keyIndex] !== blocks[blocks.length - 1][0][keyIndex]))
+		{
+			blocks.push([row]);
+		}
+		else
+		{
+			blocks[blocks.length - 1].push(row);
+		}
+	}
+
+	return blocks;
+}
+
+/**
+ * Merges the extra rows generated by CSVEntry.getOutputRows back into array cells; a row whose key column is empty continues the previous row
+ * @function groupRows
+ * @param {string[][]} rows - The data rows (no header row)
+ * @param {number} keyIndex - The index of the key column
+ * @returns {any[][]}
+ */
+function groupRows(rows, keyIndex)
+{
+	const grouped = [];
+
+	for(const row of rows)
+	{
+		const previous = grouped[grouped.length - 1];
+
+		if(!previous || row[keyIndex])
+		{
+			grouped.push(row.slice());
+			continue;
+		}
+
+		for(let col = 0; col < row.length; col++)
+		{
+			const value = row[col];
+
+			if(value === "")
+			{
+				continue;
 			}
 
-			if( row < lines.length -1 )
+			const old = previous[col];
+
+			if(Array.isArray(old))
+			{
+				old.push(value);
+			}
+			else if(old)
 			{
-				text += "\n";
+				previous[col] = [old, value];
+			}
+			else
+			{
+				previous[col] = value;
 			}
 		}
+	}
 
-		fs.writeFileSync(filename,text);
+	return grouped;
+}
+
+/**
+ * @class CSVValidationError
+ * @description Thrown when a row breaks the CSV's schema; describes the first issue, with every issue for the row in issues
+ */
+export class CSVValidationError extends Error
+{
+	row;
+	column;
+	value;
+	rule;
+	issues;
+
+	/**
+	 * @constructor
+	 * @param {object[]} issues - The issues; row, column, value, rule and message
+	 */
+	constructor(issues)
+	{
+		super(issues[0].message);
+		this.name = "CSVValidationError";
+		this.row = issues[0].row;
+		this.column = issues[0].column;
+		this.value = issues[0].value;
+		this.rule = issues[0].rule;
+		this.issues = issues;
 	}
 }
 
@@ -183,6 +1708,23 @@ class CSVEntry
 		this.data = dataIn;
 	}
 
+	/**
+	 * Gets the data as an object keyed by the headers
+	 * @function toObject
+	 * @returns {object}
+	 */
+	toObject()
+	{
+		const obj = {};
+
+		for( let col = 0; col < this.headers.length; col++ )
+		{
+			obj[this.headers[col]] = this.data[col];
+		}
+
+		return obj;
+	}
+
 	/**
 	 * Get the data in the given key
 	 * @function get
@@ -205,7 +1747,7 @@ class CSVEntry
 	{
 		const index = this.headers.indexOf(header);
 
-		if(!index && index !== 0)
+		if(index === -1)
 		{
 			throw "Could not find header " + header;
 		}
@@ -221,7 +1763,7 @@ class CSVEntry
 	 */
 	add(header, value)
 	{
-		if(typeof value === "object" && !Array.isArray(value))
+		if(value && typeof value === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(value)))
 		{
 			throw "Cannot add object to cell";
 		}
@@ -249,9 +1791,10 @@ class CSVEntry
 	/**
 	 * Assembles the data into proper output-able CSV rows (minus qualifiers and delimeters)
 	 * @function getOutputRows
+	 * @param {?boolean[]} [fill] - Per column, whether blank cells on the extra rows repeat the value above rather than staying blank
 	 * @returns {*[][]}
 	 */
-	getOutputRows()
+	getOutputRows(fill = null)
 	{
 		let longest = 1;
 
@@ -294,16 +1837,28 @@ class CSVEntry
 
 			for( let x = 0; x< colData.length; x++ )
 			{
-				let index = 0;
+				output[x][col] = colData[x];
+			}
+
+		}
 
-				while( output[index][col] )
+		if( fill )
+		{
+			for( let col = 0; col < this.headers.length; col++ )
+			{
+				if( !fill[col] )
 				{
-					index++;
+					continue;
 				}
 
-				output[index][col] = colData[x];
+				for( let x = 1; x < longest; x++ )
+				{
+					if( output[x][col] === "" )
+					{
+						output[x][col] = output[x - 1][col];
+					}
+				}
 			}
-
 		}
 
 		return output;
@@ -0,0 +1,271 @@
+/**
+ * Candi Recipe
+ * @module candirecipe
+ */
+
+import {CSV}                           from "./candicsv.js";
+import {getObjFromFile, log, sanitise} from "./candiutil.js";
+import {Canditeer}                     from "./canditeer.js";
+
+/*
+ Recipe Object
+ session: options for the Canditeer session (see Canditeer); ignored if a session is passed to runRecipe
+ startUrls: array of urls to scrape (or url for a single one)
+ items: selector for each item on a page; every item becomes one result
+ fields: object of field name to extractor; the field names become the output headers, in order
+ pagination (optional): next (selector for the next page button), maxPages, plus any Canditeer.paginate options
+ output (optional): a filename to write a csv to, or an object; file, format (csv, tsv, jsonl, markdown, html or any registered format) and options (CSV constructor options)
+
+ Extractor
+ A string is a selector whose text is the value.  An object may have:
+ selector: selector within the item; the item itself if not given
+ attribute: property to read instead of the text, e.g. href
+ all: use every match, giving an array (which becomes extra rows, or whatever the CSV's expand option says)
+ regex: regex applied to the value; the value becomes capture group 1 if there is one, otherwise the whole match, or null if it does not match
+ raw: do not sanitise (trim and collapse whitespace) text values
+
+ Example
+ {
+ startUrls: ["https://example.com/listings"],
+ items: ".listing",
+ fields: {
+ title: ".title",
+ link: {selector: "a", attribute: "href"},
+ price: {selector: ".price", regex: "\\$([\\d.,]+)"},
+ tags: {selector: ".tag", all: true}
+ },
+ pagination: {next: "a.next", maxPages: 10},
+ output: {file: "listings.csv", options: {expand: "join"}}
+ }
+ */
+
+/**
+ * Runs a scrape recipe; opens (and closes) its own session unless one is given
+ * @param {(object|string)} recipe - The recipe, or the filename of a JSON recipe
+ * @param {?Canditeer} [session] - An initialised session to run the recipe with
+ * @returns {Promise<object[]>} - The results
+ */
+export async function runRecipe(recipe, session = null)
+{
+	if(typeof recipe === "string")
+	{
+		recipe = getObjFromFile(recipe);
+	}
+
+	const startUrls = recipe.startUrls ? recipe.startUrls : (recipe.url ? [recipe.url] : null);
+
+	if(!startUrls || startUrls.length === 0)
+	{
+		throw "Recipe has no startUrls";
+	}
+
+	if(!recipe.items)
+	{
+		throw "Recipe has no items selector";
+	}
+
+	if(!recipe.fields || Object.keys(recipe.fields).length === 0)
+	{
+		throw "Recipe has no fields";
+	}
+
+	const ownSession = !session;
+
+	if(ownSession)
+	{
+		session = new Canditeer(recipe.session ? recipe.session : null);
+		await session.init();
+	}
+
+	let results = [];
+	let page = null;
+
+	try
+	{
+		//One page is reused for every start url, and the caller's current page is restored afterwards
+		page = await session.newPage();
+		session.pushPage(page);
+
+		for(const url of startUrls)
+		{
+			log.info("Scraping " + url);
+
+			try
+			{
+				await session.navigate(page, url);
+			}
+			catch(err)
+			{
+				await session.captureFailure(page, err);
+				throw err;
+			}
+
+			const extractPage = current => extractItems(session, current, recipe);
+
+			if(recipe.pagination)
+			{
+				const pagination = Object.assign({}, recipe.pagination);
+				const next = pagination.next;
+				delete pagination.next;
+
+				if(!next)
+				{
+					throw "Recipe pagination has no next selector";
+				}
+
+				results = results.concat(await session.paginate(next, extractPage, pagination));
+			}
+			else
+			{
+				results = results.concat(await extractPage(session.currentPage));
+			}
+		}
+	}
+	finally
+	{
+		if(page)
+		{
+			session.popPage();
+			await page.close().catch(() => null);
+		}
+
+		if(ownSession)
+		{
+			await session.done();
+		}
+	}
+
+	if(recipe.output)
+	{
+		writeOutput(recipe, results);
+	}
+
+	return results;
+}
+
+/**
+ * Extracts every item on a page
+ * @param {Canditeer} session - The session
+ * @param {puppeteer.Page} page - The page
+ * @param {object} recipe - The recipe
+ * @returns {Promise<object[]>}
+ */
+async function extractItems(session, page, recipe)
+{
+	const items = await session.getElements(recipe.items, page);
+	const results = [];
+
+	for(const item of items)
+	{
+		const result = {};
+
+		for(const field of Object.keys(recipe.fields))
+		{
+			result[field] = await extractField(session, item, recipe.fields[field]);
+		}
+
+		results.push(result);
+	}
+
+	return results;
+}
+
+/**
+ * Extracts a field from an item
+ * @param {Canditeer} session - The session
+ * @param {puppeteer.ElementHandle} item - The item
+ * @param {(string|object)} field - The extractor
+ * @returns {Promise<any>}
+ */
+async function extractField(session, item, field)
+{
+	const extractor = typeof field === "string" ? {selector: field} : field;
+	let elements;
+
+	if(!extractor.selector)
+	{
+		elements = [item];
+	}
+	else if(extractor.all)
+	{
+		elements = await session.getElements(extractor.selector, item);
+	}
+	else
+	{
+		const element = await session.getElement(extractor.selector, item);
+		elements = element ? [element] : [];
+	}
+
+	const values = [];
+
+	for(const element of elements)
+	{
+		const value = await session.getAttribute(element, extractor.attribute ? extractor.attribute : "textContent");
+		values.push(transformValue(value, extractor));
+	}
+
+	if(extractor.all)
+	{
+		return values;
+	}
+
+	return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * Applies an extractor's sanitising and regex to a value
+ * @param {any} value - The value
+ * @param {object} extractor - The extractor
+ * @returns {any}
+ */
+function transformValue(value, extractor)
+{
+	if(typeof value !== "string")
+	{
+		return value;
+	}
+
+	if(!extractor.raw)
+	{
+		value = sanitise(value);
+	}
+
+	if(!extractor.regex)
+	{
+		return value;
+	}
+
+	const matches = value.match(new RegExp(extractor.regex));
+
+	if(!matches)
+	{
+		return null;
+	}
+
+	return matches.length > 1 ? matches[1] : matches[0];
+}
+
+/**
+ * Writes the results to the recipe's output target
+ * @param {object} recipe - The recipe
+ * @param {object[]} results - The results
+ */
+function writeOutput(recipe, results)
+{
+	const output = typeof recipe.output === "string" ? {file: recipe.output} : recipe.output;
+
+	if(!output.file)
+	{
+		throw "Recipe output has no file";
+	}
+
+	const csv = new CSV(Object.keys(recipe.fields), output.options ? output.options : null);
+
+	for(const result of results)
+	{
+		csv.addObject(result);
+	}
+
+	csv.writeFile(output.file, output.format ? output.format : "csv");
+	log.info("Wrote " + results.length + " results to " + output.file);
+}
@@ -1,106 +1,1589 @@
 import puppeteer from "puppeteer";
-
-let browser;
-let showBrowser = false;
-let currentPage;
+import {exists, getObjFromFile, log, mkDir, sleep, tableToArrayOfObj, writeFile, writeJson} from "./candiutil.js";
 
 /**
- * Initialises the browser instance
- * @function init
- * @param {boolean} [showBrowserIn] - Whether to show the browser window
+ * @class Canditeer
+ * @description A scraping session; owns its own browser, pages and options so several sessions can run side by side in one process
  */
-export async function init(showBrowserIn = false)
+export class Canditeer
 {
-	showBrowser = showBrowserIn;
-	browser = await puppeteer.launch({headless: !showBrowser});
+	browser;
+	showBrowser = false;
+	launchOptions = {};
+	currentPage;
+	pageStack = [];
+	waitUntil = "load";
+	timeout = 30000;
+	elementTimeout = 0;
+	retries = 0;
+	backoff = 500;
+	blockResources = [];
+	blockUrls = [];
+	headers = null;
+	userAgent = null;
+	cookies = [];
+	responseHandlers = [];
+	debugDir = null;
+	consoleLogs = new WeakMap();
+	sessionFile = null;
+	savedCookies = [];
+	localStorage = {};
+	loginUrl = null;
+	onLogin = null;
+	loggingIn = null;
+	loginPage = null;
+	pages = new Set();
+	keepOpen = false;
+	closeTimeout = 5000;
+	exitHooks = true;
+
+	/**
+	 * @constructor
+	 * @param {?object} [options] - Options object, which also takes waitUntil, timeout, elementTimeout, retries and backoff as the defaults for navigation and element lookup (see getWaitOptions)
+	 * @param {boolean} [options.showBrowser] - Whether to show the browser window
+	 * @param {object} [options.launchOptions] - Extra options for puppeteer.launch
+	 * @param {string[]} [options.blockResources] - Resource types not to load, e.g. image, font, stylesheet, media
+	 * @param {Array} [options.blockUrls] - Url patterns not to load; strings contained in the url, regexes or functions taking the url
+	 * @param {object} [options.headers] - Extra HTTP headers for every request
+	 * @param {string} [options.userAgent] - The user agent for every page
+	 * @param {object[]} [options.cookies] - Cookie objects as for page.setCookie
+	 * @param {string} [options.debugDir] - A directory to save a screenshot, the HTML and the console log of the page to whenever an element or page cannot be loaded
+	 * @param {string} [options.sessionFile] - A file to persist cookies and localStorage to after logging in and restore them from on init
+	 * @param {(string|RegExp|function)} [options.loginUrl] - A pattern for the url of the login page, as for blockUrls; being sent there means the session has expired
+	 * @param {function} [options.onLogin] - An async function taking the session and a page which logs in; run when the login page is reached or logIn is called
+	 * @param {boolean} [options.keepOpen] - Leave the browser running when done is called, e.g. to inspect a shown browser
+	 * @param {number} [options.closeTimeout] - Milliseconds to wait for the browser to close before killing it
+	 * @param {boolean} [options.exitHooks] - Whether to close the browser when the process is interrupted, terminated or has an unhandled rejection; defaults to true
+	 */
+	constructor(options = null)
+	{
+		if(options)
+		{
+			for(const option of Object.keys(options))
+			{
+				const value = options[option];
+
+				switch(option.toLowerCase())
+				{
+					case "showbrowser":
+						this.showBrowser = value;
+						break;
+					case "launchoptions":
+						this.launchOptions = value;
+						break;
+					case "waituntil":
+						this.waitUntil = value;
+						break;
+					case "timeout":
+						this.timeout = value;
+						break;
+					case "elementtimeout":
+						this.elementTimeout = value;
+						break;
+					case "retries":
+						this.retries = value;
+						break;
+					case "backoff":
+						this.backoff = value;
+						break;
+					case "blockresources":
+						this.blockResources = value;
+						break;
+					case "blockurls":
+						this.blockUrls = value;
+						break;
+					case "headers":
+						this.headers = value;
+						break;
+					case "useragent":
+						this.userAgent = value;
+						break;
+					case "cookies":
+						this.cookies = value;
+						break;
+					case "debugdir":
+						this.debugDir = value;
+						break;
+					case "sessionfile":
+						this.sessionFile = value;
+						break;
+					case "loginurl":
+						this.loginUrl = value;
+						break;
+					case "onlogin":
+						this.onLogin = value;
+						break;
+					case "keepopen":
+						this.keepOpen = value;
+						break;
+					case "closetimeout":
+						this.closeTimeout = value;
+						break;
+					case "exithooks":
+						this.exitHooks = value;
+						break;
+					default:
+						throw "Unrecognised option: " + option;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Initialises the browser instance, restoring the persisted session if there is one
+	 * @function init
+	 * @param {?boolean} [showBrowserIn] - Whether to show the browser window; uses the session's option if not given
+	 */
+	async init(showBrowserIn = null)
+	{
+		if(showBrowserIn !== null)
+		{
+			this.showBrowser = showBrowserIn;
+		}
+
+		const browser = await puppeteer.launch(Object.assign({headless: !this.showBrowser}, this.launchOptions));
+		this.browser = browser;
+		liveSessions.add(this);
+
+		browser.once("disconnected", () =>
+		{
+			if(this.browser === browser)
+			{
+				log.warn("Browser disconnected unexpectedly");
+				this.forget();
+			}
+		});
+
+		if(this.exitHooks)
+		{
+			installExitHooks();
+		}
+
+		if(this.sessionFile && exists(this.sessionFile))
+		{
+			this.restoreSession(this.sessionFile);
+		}
+	}
+
+	/**
+	 * Saves the browser's cookies and the page's localStorage to a file, keeping localStorage saved earlier for other origins
+	 * @function saveSession
+	 * @param {?string} [file] - The filename; the sessionFile option if not given
+	 * @param {?puppeteer.Page} [page] - The page to read localStorage from; the current page if not given
+	 * @returns {Promise<void>}
+	 */
+	async saveSession(file = null, page = null)
+	{
+		file = file ? file : this.sessionFile;
+
+		if(!file)
+		{
+			throw "No session file given";
+		}
+
+		await this.captureSession(page);
+		writeJson(file, {
+			cookies     : this.savedCookies,
+			localStorage: this.localStorage
+		});
+	}
+
+	/**
+	 * Remembers the browser's cookies and the page's localStorage as the session to apply to every page opened afterwards
+	 * @function captureSession
+	 * @param {?puppeteer.Page} [page] - The page to read localStorage from; the current page if not given
+	 * @returns {Promise<void>}
+	 */
+	async captureSession(page = null)
+	{
+		page = this.getAncestorFrom(page);
+		const client = await page.target().createCDPSession();
+		const {cookies} = await client.send("Network.getAllCookies");
+		await client.detach();
+
+		const origin = await page.evaluate(() => location.origin);
+
+		if(origin && origin !== "null")
+		{
+			this.localStorage[origin] = await page.evaluate(() => Object.assign({}, localStorage));
+		}
+
+		this.savedCookies = cookies.map(cookie => ({
+			name    : cookie.name,
+			value   : cookie.value,
+			domain  : cookie.domain,
+			path    : cookie.path,
+			expires : cookie.expires,
+			httpOnly: cookie.httpOnly,
+			secure  : cookie.secure,
+			sameSite: cookie.sameSite
+		}));
+	}
+
+	/**
+	 * Restores cookies and localStorage saved by saveSession; they are applied to every page opened afterwards
+	 * @function restoreSession
+	 * @param {?string} [file] - The filename; the sessionFile option if not given
+	 */
+	restoreSession(file = null)
+	{
+		file = file ? file : this.sessionFile;
+		const saved = getObjFromFile(file);
+		this.savedCookies = saved.cookies ? saved.cookies : [];
+		this.localStorage = saved.localStorage ? saved.localStorage : {};
+	}
+
+	/**
+	 * Runs the login hook and remembers the new session for later pages, saving it if there is a sessionFile; concurrent calls share one login
+	 * @function logIn
+	 * @param {?puppeteer.Page} [page] - The page to log in with; a new page which is closed afterwards if not given
+	 * @returns {Promise<void>}
+	 * @throws Error if no login hook is set
+	 */
+	logIn(page = null)
+	{
+		if(!this.onLogin)
+		{
+			throw "No login hook set";
+		}
+
+		if(!this.loggingIn)
+		{
+			this.loggingIn = (async () =>
+			{
+				const target = page ? page : await this.newPage();
+				this.loginPage = target;
+
+				try
+				{
+					await this.onLogin(this, target);
+
+					if(this.sessionFile)
+					{
+						await this.saveSession(this.sessionFile, target);
+					}
+					else
+					{
+						await this.captureSession(target);
+					}
+				}
+				finally
+				{
+					this.loginPage = null;
+
+					if(!page)
+					{
+						await target.close().catch(() => null);
+					}
+				}
+			})().finally(() => this.loggingIn = null);
+		}
+
+		return this.loggingIn;
+	}
+
+	/**
+	 * Determines whether the page is on the login page, meaning the session has expired
+	 * @function isLoginPage
+	 * @param {puppeteer.Page} page - The page
+	 * @returns {boolean}
+	 */
+	isLoginPage(page)
+	{
+		return !!this.loginUrl && matchesUrl(this.loginUrl, page.url());
+	}
+
+	/**
+	 * Gets the text content from a given element or selector
+	 * @function getText
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @returns {Promise<any>} - The text content of the element
+	 */
+	async getText(elementIn)
+	{
+		const element = await this.findElement(elementIn);
+		return this.getAttribute(element, "textContent");
+	}
+
+	/**
+	 * Gets an attribute from the given element instance (can find the element first if given a selector)
+	 * @function getAttribute
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @param {string} attribute - Any ancestor of the element; used as a search base
+	 * @returns {Promise<any>} - The value of the attribute
+	 */
+	async getAttribute(elementIn, attribute)
+	{
+		const element = await this.findElement(elementIn);
+		const property = await element.getProperty(attribute);
+
+		if(!property)
+		{
+			return null;
+		}
+
+		return property.jsonValue();
+	}
+
+	/**
+	 * Gets an element (or returns the parameter if given an Element)
+	 * @function findElement
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @param {?object} [options] - Options object; overrides the session's elementTimeout, retries and backoff
+	 * @returns {puppeteer.ElementHandle} - The element
+	 * @throws ElementNotFoundError if the element cannot be found and isn't given
+	 */
+	async findElement(elementIn, options = null)
+	{
+		let element;
+
+		if(!elementIn)
+		{
+			throw "No element given";
+		}
+
+		if(typeof elementIn === "string")
+		{
+			element = await this.getElement(elementIn, null, options);
+		}
+		else
+		{
+			element = elementIn;
+		}
+
+		if(!element)
+		{
+			const err = new ElementNotFoundError(elementIn, this.getWaitOptions(options).retries + 1);
+			await this.captureFailure(this.currentPage, err);
+			throw err;
+		}
+
+		return element;
+	}
+
+	/**
+	 * Gets the navigation and element lookup settings, overridden by the given options
+	 * @function getWaitOptions
+	 * @param {?object} [options] - Options object
+	 * @param {string} [options.waitUntil] - When navigation is done; load, domcontentloaded, networkidle0 or networkidle2
+	 * @param {number} [options.timeout] - The navigation timeout in milliseconds
+	 * @param {string} [options.waitForSelector] - A selector that must appear after navigating
+	 * @param {(function|string)} [options.waitForFunction] - A function or expression that must become truthy in the page after navigating
+	 * @param {number} [options.elementTimeout] - Milliseconds to wait for a selector to appear when looking up elements; 0 to not wait
+	 * @param {number} [options.retries] - Extra attempts for failed navigation or missing elements
+	 * @param {number} [options.backoff] - Milliseconds before the first retry, doubling for each one after
+	 * @returns {object}
+	 */
+	getWaitOptions(options = null)
+	{
+		return Object.assign({
+			                     waitUntil      : this.waitUntil,
+			                     timeout        : this.timeout,
+			                     waitForSelector: null,
+			                     waitForFunction: null,
+			                     elementTimeout : this.elementTimeout,
+			                     retries        : this.retries,
+			                     backoff        : this.backoff
+		                     }, options);
+	}
+
+	/**
+	 * Gets the ancestor to use for the current context
+	 * @function getAncestorFrom
+	 * @param {?(puppeteer.ElementHandle|puppeteer.Page)} ancestor - The ancestor input
+	 * @returns {(puppeteer.ElementHandle|puppeteer.Page)} - The ancestor
+	 * @throws Error if no ancestor is given and no current page is set
+	 */
+	getAncestorFrom(ancestor)
+	{
+		if(ancestor)
+		{
+			return ancestor;
+		}
+		else if(this.currentPage)
+		{
+			return this.currentPage;
+		}
+		else
+		{
+			throw "No ancestor given and no current page set";
+		}
+	}
+
+	/**
+	 * Gets an element instance from the given selector, waiting for it to appear and retrying if the session or options say to
+	 * @function getElement
+	 * @param {string} selector - The selector
+	 * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
+	 * @param {?object} [options] - Options object; overrides the session's elementTimeout, retries and backoff
+	 * @returns {Promise<?puppeteer.ElementHandle>} - The found element, or null if it could not be found
+	 * @throws Error if no selector is given
+	 */
+	async getElement(selector, ancestor = null, options = null)
+	{
+		if(!selector)
+		{
+			throw "No selector given";
+		}
+
+		const from = this.getAncestorFrom(ancestor);
+		const wait = this.getWaitOptions(options);
+
+		for(let attempt = 0; attempt <= wait.retries; attempt++)
+		{
+			if(attempt > 0)
+			{
+				await sleep(wait.backoff * Math.pow(2, attempt - 1));
+			}
+
+			if(!wait.elementTimeout)
+			{
+				const element = await from.$(selector);
+
+				if(element)
+				{
+					return element;
+				}
+
+				continue;
+			}
+
+			try
+			{
+				return await from.waitForSelector(selector, {timeout: wait.elementTimeout});
+			}
+			catch(err)
+			{
+				if(!(err instanceof puppeteer.errors.TimeoutError))
+				{
+					throw err;
+				}
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Gets all elements that match the given selector
+	 * @function getElements
+	 * @param {string} selector - The selector
+	 * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
+	 * @returns {Promise<puppeteer.ElementHandle[]>} - The element found
+	 * @throws Error if no selector is given
+	 */
+	getElements(selector, ancestor = null)
+	{
+		if(!selector)
+		{
+			throw "No selector given";
+		}
+
+		const from = this.getAncestorFrom(ancestor);
+		return from.$$(selector);
+	}
+
+	/**
+	 * Converts a table on the page to an array of objects, as candiutil.tableToArrayOfObj does for HTML; the table is read as currently rendered, so tables built by JavaScript work too
+	 * @function getTable
+	 * @param {(object|string)} elementIn - The table element or a selector to find it
+	 * @param {string[]} rawHeaders - The headers to use for the data; supports the candiutil header syntax
+	 * @param {?function} [unknownDataProcessor] - A function to use for processing unknown or unrecognised data
+	 * @param {string} [rowSelector] - A CSS selector to select the rows of the table
+	 * @param {?object} [options] - Options object; the element lookup settings (see getWaitOptions)
+	 * @returns {Promise<object[]>}
+	 */
+	async getTable(elementIn, rawHeaders, unknownDataProcessor = null, rowSelector = "tbody tr", options = null)
+	{
+		const element = await this.findElement(elementIn, options);
+		const html = await element.evaluate(el => el.outerHTML);
+		return tableToArrayOfObj(html, rawHeaders, unknownDataProcessor, rowSelector);
+	}
+
+	/**
+	 * Clicks an element
+	 * @function click
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @param {?object} [options] - Options object; navigate (wait for the page to navigate after clicking), plus the navigation and element lookup settings (see getWaitOptions)
+	 * @returns {Promise<void>}
+	 */
+	async click(elementIn, options = null)
+	{
+		const element = await this.findElement(elementIn, options);
+		const wait = this.getWaitOptions(options);
+
+		if(!wait.navigate)
+		{
+			await element.click();
+			return;
+		}
+
+		await Promise.all([this.getAncestorFrom(null).waitForNavigation({
+			                                                                waitUntil: wait.waitUntil,
+			                                                                timeout  : wait.timeout
+		                                                                }), element.click()]);
+	}
+
+	/**
+	 * Types text into an element
+	 * @function type
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @param {string} text - The text to type
+	 * @param {?object} [options] - Options object; clear (empty the element first, default true), delay (milliseconds between key presses), plus the element lookup settings (see getWaitOptions)
+	 * @returns {Promise<void>}
+	 */
+	async type(elementIn, text, options = null)
+	{
+		const element = await this.findElement(elementIn, options);
+		const settings = Object.assign({
+			                               clear: true,
+			                               delay: 0
+		                               }, options);
+
+		if(settings.clear)
+		{
+			await element.evaluate(el => el.value = "");
+		}
+
+		await element.type(text, {delay: settings.delay});
+	}
+
+	/**
+	 * Chooses options in a select element
+	 * @function select
+	 * @param {(object|string)} elementIn - The element or selector to find the element
+	 * @param {...string} values - The values of the options to choose
+	 * @returns {Promise<string[]>} - The values that were chosen
+	 */
+	async select(elementIn, ...values)
+	{
+		const element = await this.findElement(elementIn);
+		return element.select(...values);
+	}
+
+	/**
+	 * Scrolls to the bottom of the current page repeatedly until no new items appear, for infinitely scrolling pages
+	 * @function scroll
+	 * @param {?string} [itemSelector] - A selector for the items being loaded; the page height is compared instead if not given
+	 * @param {?object} [options] - Options object
+	 * @param {number} [options.delay] - Milliseconds to wait for items after each scroll; 1000 by default
+	 * @param {number} [options.attempts] - Scrolls with nothing new before stopping; 2 by default
+	 * @param {number} [options.maxScrolls] - The most scrolls to make; 100 by default
+	 * @returns {Promise<number>} - The number of items (or the page height) at the end
+	 */
+	async scroll(itemSelector = null, options = null)
+	{
+		const page = this.getAncestorFrom(null);
+		const settings = Object.assign({
+			                               delay     : 1000,
+			                               attempts  : 2,
+			                               maxScrolls: 100
+		                               }, options);
+		const measure = async () => itemSelector ? (await page.$$(itemSelector)).length : page.evaluate(() => document.body.scrollHeight);
+		let count = await measure();
+		let unchanged = 0;
+
+		for(let scrolls = 0; scrolls < settings.maxScrolls && unchanged < settings.attempts; scrolls++)
+		{
+			await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+			await sleep(settings.delay);
+			const newCount = await measure();
+
+			if(newCount > count)
+			{
+				count = newCount;
+				unchanged = 0;
+			}
+			else
+			{
+				unchanged++;
+			}
+		}
+
+		return count;
+	}
+
+	/**
+	 * Walks through pages by clicking the next button, extracting results from each page until the button is missing or disabled
+	 * @function paginate
+	 * @param {string} nextSelector - A selector for the next page button or link
+	 * @param {function} extractFn - A function taking the current page and the page number (starting from 1) and returning the results for the page; arrays are concatenated
+	 * @param {?object} [options] - Options object, which also takes the navigation settings (see getWaitOptions)
+	 * @param {number} [options.maxPages] - The most pages to visit
+	 * @param {boolean} [options.navigate] - Wait for navigation after clicking; true by default
+	 * @param {string} [options.waitForSelector] - A selector to wait for after clicking, for pages updated in place
+	 * @returns {Promise<any[]>} - The results from every page
+	 */
+	async paginate(nextSelector, extractFn, options = null)
+	{
+		const settings = Object.assign({
+			                               maxPages: Infinity,
+			                               navigate: true
+		                               }, options);
+		let results = [];
+
+		for(let pageNumber = 1; pageNumber <= settings.maxPages; pageNumber++)
+		{
+			const page = this.getAncestorFrom(null);
+			const extracted = await extractFn(page, pageNumber);
+			results = results.concat(extracted);
+
+			if(pageNumber === settings.maxPages)
+			{
+				break;
+			}
+
+			const next = await page.$(nextSelector);
+
+			if(!next)
+			{
+				break;
+			}
+
+			const disabled = await next.evaluate(el => el.disabled === true || el.getAttribute("aria-disabled") === "true" || el.classList.contains("disabled"));
+
+			if(disabled)
+			{
+				break;
+			}
+
+			await this.click(next, settings);
+
+			if(settings.waitForSelector)
+			{
+				await page.waitForSelector(settings.waitForSelector, {timeout: this.getWaitOptions(settings).timeout});
+			}
+		}
+
+		return results;
+	}
+
+	/**
+	 * Fetches the page from the given url
+	 * @function fetchPage
+	 * @param {string} url - The element or selector to find the element
+	 * @param {boolean} [setWith] - Whether to set the page as the page to use with canditeer
+	 * @param {?object} [options] - Options object; overrides the session's navigation settings (see getWaitOptions)
+	 * @returns {Page} - The value of the attribute
+	 * @throws NavigationError if the page could not be loaded after all retries
+	 */
+	async fetchPage(url, setWith = true, options = null)
+	{
+		if(!this.browser)
+		{
+			throw "Browser not initialised; call init first";
+		}
+
+		const page = await this.newPage();
+
+		try
+		{
+			await this.navigate(page, url, options);
+		}
+		catch(err)
+		{
+			await this.captureFailure(page, err);
+			await page.close().catch(() => null);
+			throw err;
+		}
+
+		if(setWith)
+		{
+			this.currentPage = page;
+		}
+
+		return page;
+	}
+
+	/**
+	 * Opens a new page set up with the session's blocking, headers, user agent, cookies and response handlers
+	 * @function newPage
+	 * @returns {Promise<puppeteer.Page>}
+	 */
+	async newPage()
+	{
+		if(!this.browser)
+		{
+			throw "Browser not initialised; call init first";
+		}
+
+		const page = await this.browser.newPage();
+		this.pages.add(page);
+		page.once("close", () => this.pages.delete(page));
+
+		if(this.blockResources.length > 0 || this.blockUrls.length > 0)
+		{
+			await page.setRequestInterception(true);
+			page.on("request", request =>
+			{
+				if(this.isBlocked(request))
+				{
+					request.abort().catch(() => null);
+				}
+				else
+				{
+					request.continue().catch(() => null);
+				}
+			});
+		}
+
+		if(this.headers)
+		{
+			await page.setExtraHTTPHeaders(this.headers);
+		}
+
+		if(this.userAgent)
+		{
+			await page.setUserAgent(this.userAgent);
+		}
+
+		if(this.cookies.length > 0 || this.savedCookies.length > 0)
+		{
+			await page.setCookie(...this.cookies, ...this.savedCookies);
+		}
+
+		if(Object.keys(this.localStorage).length > 0)
+		{
+			await page.evaluateOnNewDocument(storage =>
+			{
+				const items = storage[location.origin];
+
+				for(const key of Object.keys(items ? items : {}))
+				{
+					localStorage.setItem(key, items[key]);
+				}
+			}, this.localStorage);
+		}
+
+		const consoleLog = [];
+		this.consoleLogs.set(page, consoleLog);
+		page.on("console", message => consoleLog.push("[" + message.type() + "] " + message.text()));
+		page.on("pageerror", err => consoleLog.push("[pageerror] " + (err && err.message ? err.message : err)));
+		page.on("response", response => this.handleResponse(response));
+		return page;
+	}
+
+	/**
+	 * Determines whether a request should be blocked
+	 * @function isBlocked
+	 * @param {puppeteer.HTTPRequest} request - The request
+	 * @returns {boolean}
+	 */
+	isBlocked(request)
+	{
+		if(this.blockResources.includes(request.resourceType()))
+		{
+			return true;
+		}
+
+		return this.blockUrls.some(pattern => matchesUrl(pattern, request.url()));
+	}
+
+	/**
+	 * Passes a response to the handlers registered for its url
+	 * @function handleResponse
+	 * @param {puppeteer.HTTPResponse} response - The response
+	 */
+	async handleResponse(response)
+	{
+		for(const responseHandler of this.responseHandlers)
+		{
+			if(!matchesUrl(responseHandler.pattern, response.url()))
+			{
+				continue;
+			}
+
+			try
+			{
+				await responseHandler.handler(response);
+			}
+			catch(err)
+			{
+				log.warn("Response handler failed for " + response.url() + ": " + err);
+			}
+		}
+	}
+
+	/**
+	 * Registers a handler for network responses whose url matches the pattern, on every page the session opens
+	 * @function onResponse
+	 * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+	 * @param {function} handler - A function taking the puppeteer HTTPResponse
+	 * @returns {function} - A function which removes the handler
+	 */
+	onResponse(pattern, handler)
+	{
+		const responseHandler = {
+			pattern: pattern,
+			handler: handler
+		};
+
+		this.responseHandlers.push(responseHandler);
+		return () => this.responseHandlers = this.responseHandlers.filter(other => other !== responseHandler);
+	}
+
+	/**
+	 * Captures the bodies of network responses whose url matches the pattern, e.g. /api/ JSON, as they arrive
+	 * @function captureResponses
+	 * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+	 * @returns {object[]} - An array which fills with url, status and body (parsed if JSON) for each response
+	 */
+	captureResponses(pattern)
+	{
+		const captured = [];
+
+		this.onResponse(pattern, async response =>
+		{
+			const type = response.headers()["content-type"];
+			const text = await response.text();
+			let body = text;
+
+			if(type && type.includes("json"))
+			{
+				body = JSON.parse(text);
+			}
+
+			captured.push({
+				              url   : response.url(),
+				              status: response.status(),
+				              body  : body
+			              });
+		});
+
+		return captured;
+	}
+
+	/**
+	 * Saves a screenshot of the current page
+	 * @function screenshot
+	 * @param {string} file - The filename; the extension decides the image type (png, jpeg or webp)
+	 * @param {?puppeteer.Page} [page] - The page; the current page if not given
+	 * @returns {Promise<void>}
+	 */
+	async screenshot(file, page = null)
+	{
+		await this.getAncestorFrom(page).screenshot({
+			                                            path    : file,
+			                                            fullPage: true
+		                                            });
+	}
+
+	/**
+	 * Saves the current page as a PDF (only supported by headless browsers)
+	 * @function savePdf
+	 * @param {string} file - The filename
+	 * @param {?puppeteer.Page} [page] - The page; the current page if not given
+	 * @returns {Promise<void>}
+	 */
+	async savePdf(file, page = null)
+	{
+		await this.getAncestorFrom(page).pdf({path: file});
+	}
+
+	/**
+	 * Saves the HTML of the current page as currently rendered
+	 * @function saveHtml
+	 * @param {string} file - The filename
+	 * @param {?puppeteer.Page} [page] - The page; the current page if not given
+	 * @returns {Promise<void>}
+	 */
+	async saveHtml(file, page = null)
+	{
+		writeFile(file, await this.getAncestorFrom(page).content());
+	}
+
+	/**
+	 * Saves a screenshot, the HTML and the console log of the page along with the error to the debug directory, if one is set; never throws
+	 * @function captureFailure
+	 * @param {?puppeteer.Page} page - The page
+	 * @param {any} error - The error
+	 * @returns {Promise<?string>} - The path the files were saved to, minus the extension
+	 */
+	async captureFailure(page, error)
+	{
+		if(!this.debugDir || !page)
+		{
+			return null;
+		}
+
+		const label = error && error.name ? error.name : "error";
+		const base = this.debugDir + "/" + new Date().toISOString().replaceAll(/[:.]/g, "-") + "-" + label;
+		const lines = [String(error && error.stack ? error.stack : error), "", "URL: " + page.url(), ""];
+
+		try
+		{
+			mkDir(this.debugDir);
+			writeFile(base + ".log", lines.concat(this.consoleLogs.get(page) || []).join("\n"));
+			await this.saveHtml(base + ".html", page);
+			await this.screenshot(base + ".png", page);
+		}
+		catch(err)
+		{
+			log.warn("Could not capture debug information to " + base + ": " + err);
+		}
+
+		return base;
+	}
+
+	/**
+	 * Navigates a page to the url and waits for the page to be ready, retrying with backoff on failure
+	 * @function navigate
+	 * @param {puppeteer.Page} page - The page
+	 * @param {string} url - The url
+	 * @param {?object} [options] - Options object; overrides the session's navigation settings (see getWaitOptions)
+	 * @returns {Promise<void>}
+	 * @throws NavigationError if the page could not be loaded after all retries
+	 */
+	async navigate(page, url, options = null)
+	{
+		const wait = this.getWaitOptions(options);
+		let lastError;
+
+		for(let attempt = 0; attempt <= wait.retries; attempt++)
+		{
+			if(attempt > 0)
+			{
+				await sleep(wait.backoff * Math.pow(2, attempt - 1));
+			}
+
+			try
+			{
+				await page.goto(url, {
+					waitUntil: wait.waitUntil,
+					timeout  : wait.timeout
+				});
+
+				// The login hook's own page and deliberate visits to the login page are not expired sessions; other pages wait for the login in progress, if any
+				if(this.onLogin && page !== this.loginPage && this.isLoginPage(page) && !matchesUrl(this.loginUrl, url))
+				{
+					await this.logIn(page);
+					await page.goto(url, {
+						waitUntil: wait.waitUntil,
+						timeout  : wait.timeout
+					});
+
+					if(this.isLoginPage(page))
+					{
+						throw "Still sent to the login page after logging in: " + page.url();
+					}
+				}
+
+				if(wait.waitForSelector)
+				{
+					await page.waitForSelector(wait.waitForSelector, {timeout: wait.timeout});
+				}
+
+				if(wait.waitForFunction)
+				{
+					await page.waitForFunction(wait.waitForFunction, {timeout: wait.timeout});
+				}
+
+				return;
+			}
+			catch(err)
+			{
+				lastError = err;
+			}
+		}
+
+		throw new NavigationError(url, wait.retries + 1, lastError);
+	}
+
+	/**
+	 * Creates a pool of pages for fetching many urls with bounded concurrency and per-host rate limiting
+	 * @function createPool
+	 * @param {?object} options - Options object; see PagePool
+	 * @returns {PagePool}
+	 */
+	createPool(options = null)
+	{
+		if(!this.browser)
+		{
+			throw "Browser not initialised; call init first";
+		}
+
+		return new PagePool(this, options);
+	}
+
+	/**
+	 * Closes every page the session opened and then the browser, killing the browser process if it does not close within closeTimeout; with keepOpen, only disconnects from the browser
+	 * @function done
+	 * @returns {Promise<void>}
+	 */
+	async done()
+	{
+		const browser = this.browser;
+		const pages = Array.from(this.pages);
+		this.forget();
+
+		if(!browser)
+		{
+			return;
+		}
+
+		if(this.keepOpen)
+		{
+			browser.disconnect();
+			return;
+		}
+
+		for(const page of pages)
+		{
+			await withTimeout(page.close(), this.closeTimeout).catch(() => null);
+		}
+
+		try
+		{
+			await withTimeout(browser.close(), this.closeTimeout);
+		}
+		catch(err)
+		{
+			log.warn("Browser did not close cleanly (" + err + "); killing it");
+			killBrowser(browser);
+		}
+	}
+
+	/**
+	 * Drops the session's references to its browser and pages
+	 * @function forget
+	 */
+	forget()
+	{
+		this.browser = null;
+		this.currentPage = null;
+		this.pageStack = [];
+		this.pages.clear();
+		liveSessions.delete(this);
+	}
+
+	/**
+	 * Sets the page as the current page to use with canditeer
+	 * @function withPage
+	 * @param {puppeteer.Page} page - The page
+	 */
+	withPage(page)
+	{
+		this.currentPage = page;
+	}
+
+	/**
+	 * Makes the page the current page, remembering the previous one so popPage can return to it
+	 * @function pushPage
+	 * @param {puppeteer.Page} page - The page
+	 */
+	pushPage(page)
+	{
+		this.pageStack.push(this.currentPage);
+		this.currentPage = page;
+	}
+
+	/**
+	 * Returns to the page that was current before the last pushPage
+	 * @function popPage
+	 * @returns {puppeteer.Page} - The page that was current
+	 * @throws Error if there is no page to return to
+	 */
+	popPage()
+	{
+		if(this.pageStack.length === 0)
+		{
+			throw "No page to return to";
+		}
+
+		const page = this.currentPage;
+		this.currentPage = this.pageStack.pop();
+		return page;
+	}
 }
 
+if(Symbol.asyncDispose)
+{
+	Canditeer.prototype[Symbol.asyncDispose] = Canditeer.prototype.done;
+}
+
+const liveSessions = new Set();
+let exitHooksInstalled = false;
+
 /**
- * Gets the text content from a given element or selector
- * @function getText
- * @param {(object|string)} elementIn - The element or selector to find the element
- * @returns {Promise<any>} - The text content of the element
+ * Closes the browsers of every initialised session
+ * @function closeAll
+ * @returns {Promise<void>}
  */
-export async function getText(elementIn)
+export function closeAll()
 {
-	const element = await findElement(elementIn);
-	return getAttribute(element, "textContent");
+	return closeSessions(Array.from(liveSessions));
 }
 
 /**
- * Gets an attribute from the given element instance (can find the element first if given a selector)
- * @function getAttribute
- * @param {(object|string)} elementIn - The element or selector to find the element
- * @param {string} attribute - Any ancestor of the element; used as a search base
- * @returns {Promise<any>} - The value of the attribute
+ * Closes the browsers of the given sessions side by side
+ * @function closeSessions
+ * @param {Canditeer[]} sessions - The sessions
+ * @returns {Promise<void>}
  */
-export async function getAttribute(elementIn, attribute)
+async function closeSessions(sessions)
 {
-	const element = await findElement(elementIn);
-	const property = await element.getProperty(attribute);
+	await Promise.all(sessions.map(session => session.done().catch(err => log.error("Could not close browser: " + err))));
+}
 
-	if(!property)
+/**
+ * Makes sure browsers are not left running when the process is interrupted, terminated or crashes
+ * @function installExitHooks
+ */
+function installExitHooks()
+{
+	if(exitHooksInstalled)
 	{
-		return null;
+		return;
 	}
 
-	return property.jsonValue();
+	exitHooksInstalled = true;
+
+	const shutDown = (reason, code) =>
+	{
+		const sessions = Array.from(liveSessions).filter(session => session.exitHooks);
+		log.warn(reason + "; closing " + sessions.length + " browser(s)");
+		closeSessions(sessions).finally(() => process.exit(code));
+	};
+
+	process.once("SIGINT", () => shutDown("Interrupted", 130));
+	process.once("SIGTERM", () => shutDown("Terminated", 143));
+	process.once("unhandledRejection", reason =>
+	{
+		log.error("Unhandled rejection: " + (reason && reason.stack ? reason.stack : reason));
+		shutDown("Unhandled rejection", 1);
+	});
+
+	// Last resort for exits that skip the hooks above; nothing asynchronous can run here
+	process.once("exit", () =>
+	{
+		for(const session of liveSessions)
+		{
+			if(session.exitHooks && !session.keepOpen)
+			{
+				killBrowser(session.browser);
+			}
+		}
+	});
 }
 
 /**
- * Gets an element (or returns the parameter if given an Element)
- * @function findElement
- * @param {(object|string)} elementIn - The element or selector to find the element
- * @returns {puppeteer.ElementHandle} - The element
- * @throws Error if the element cannot be found and isn't given
+ * Kills the browser's process
+ * @function killBrowser
+ * @param {puppeteer.Browser} browser - The browser
  */
-async function findElement(elementIn)
+function killBrowser(browser)
 {
-	let element;
+	const browserProcess = browser ? browser.process() : null;
 
-	if(!elementIn)
+	if(browserProcess && browserProcess.exitCode === null)
 	{
-		throw "No element given";
+		browserProcess.kill("SIGKILL");
 	}
+}
 
-	if(typeof elementIn === "string")
+/**
+ * Waits for a promise, giving up after a time limit
+ * @function withTimeout
+ * @param {Promise<any>} promise - The promise
+ * @param {number} ms - The time limit in ms
+ * @returns {Promise<any>} - The result of the promise
+ * @throws Error if the time limit is reached first
+ */
+function withTimeout(promise, ms)
+{
+	let timer;
+	const timeout = new Promise((resolve, reject) =>
 	{
-		element = await getElement(elementIn);
+		timer = setTimeout(() => reject("Timed out after " + ms + "ms"), ms);
+	});
+
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Determines whether a url matches a pattern
+ * @function matchesUrl
+ * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+ * @param {string} url - The url
+ * @returns {boolean}
+ */
+function matchesUrl(pattern, url)
+{
+	if(typeof pattern === "function")
+	{
+		return pattern(url);
 	}
-	else
+
+	if(pattern instanceof RegExp)
 	{
-		element = elementIn;
+		return pattern.test(url);
 	}
 
-	if(!element)
+	return url.includes(pattern);
+}
+
+/**
+ * @class NavigationError
+ * @description Thrown when a page could not be loaded after all retries
+ */
+export class NavigationError extends Error
+{
+	url;
+	attempts;
+	cause;
+
+	/**
+	 * @constructor
+	 * @param {string} url - The url
+	 * @param {number} attempts - The number of attempts made
+	 * @param {any} cause - The error from the last attempt
+	 */
+	constructor(url, attempts, cause)
 	{
-		throw "Could not find element: " + elementIn;
+		super("Could not load " + url + " after " + attempts + " attempt" + (attempts === 1 ? "" : "s") + ": " + (cause && cause.message ? cause.message : cause));
+		this.name = "NavigationError";
+		this.url = url;
+		this.attempts = attempts;
+		this.cause = cause;
 	}
+}
 
-	return element;
+/**
+ * @class ElementNotFoundError
+ * @description Thrown when an element could not be found after all retries
+ */
+export class ElementNotFoundError extends Error
+{
+	selector;
+	attempts;
+
+	/**
+	 * @constructor
+	 * @param {string} selector - The selector
+	 * @param {number} attempts - The number of attempts made
+	 */
+	constructor(selector, attempts)
+	{
+		super("Could not find element: " + selector);
+		this.name = "ElementNotFoundError";
+		this.selector = selector;
+		this.attempts = attempts;
+	}
 }
 
 /**
- * Gets the ancestor to use for the current context
- * @function getAncestorFrom
- * @param {?(puppeteer.ElementHandle|puppeteer.Page)} ancestor - The ancestor input
- * @returns {(puppeteer.ElementHandle|puppeteer.Page)} - The ancestor
- * @throws Error if no ancestor is given and no current page is set
+ * @class PagePool
+ * @description Fetches queued urls on a bounded number of pages, rate limited per host; each url gets a promise for its result
  */
-function getAncestorFrom(ancestor)
+export class PagePool
 {
-	if(ancestor)
+	session;
+	concurrency = 4;
+	hostConcurrency = Infinity;
+	delay = 0;
+	reuse = true;
+	navigation = null;
+	queue = [];
+	active = 0;
+	idlePages = [];
+	hosts = new Map();
+	drainWaiters = [];
+	closed = false;
+	wakeTimer = null;
+	wakeAt = Infinity;
+
+	/**
+	 * @constructor
+	 * @param {Canditeer} session - The session whose browser opens the pages
+	 * @param {?object} [options] - Options object
+	 * @param {number} [options.concurrency] - Pages open at once; 4 by default
+	 * @param {number} [options.hostConcurrency] - Pages open at once per host
+	 * @param {number} [options.delay] - Minimum milliseconds between navigations to the same host
+	 * @param {boolean} [options.reuse] - Keep pages open for the next url rather than closing them; true by default
+	 * @param {object} [options.navigation] - Overrides the session's navigation settings; see Canditeer.getWaitOptions
+	 */
+	constructor(session, options = null)
 	{
-		return ancestor;
+		this.session = session;
+
+		if(options)
+		{
+			for(const option of Object.keys(options))
+			{
+				const value = options[option];
+
+				switch(option.toLowerCase())
+				{
+					case "concurrency":
+						this.concurrency = value;
+						break;
+					case "hostconcurrency":
+						this.hostConcurrency = value;
+						break;
+					case "delay":
+						this.delay = value;
+						break;
+					case "reuse":
+						this.reuse = value;
+						break;
+					case "navigation":
+						this.navigation = value;
+						break;
+					default:
+						throw "Unrecognised option: " + option;
+				}
+			}
+		}
 	}
-	else if(currentPage)
+
+	/**
+	 * Queues a url
+	 * @function fetch
+	 * @param {string} url - The url
+	 * @param {?function} [handler] - A function taking the loaded page and the url and returning the result; the page's HTML is the result if not given
+	 * @returns {Promise<any>} - The result for the url
+	 */
+	fetch(url, handler = null)
 	{
-		return currentPage;
+		if(this.closed)
+		{
+			return Promise.reject("Pool is closed");
+		}
+
+		return new Promise((resolve, reject) =>
+		                   {
+			                   this.queue.push({
+				                                   url    : url,
+				                                   host   : new URL(url).host,
+				                                   handler: handler,
+				                                   resolve: resolve,
+				                                   reject : reject
+			                                   });
+			                   this.next();
+		                   });
 	}
-	else
+
+	/**
+	 * Queues several urls
+	 * @function fetchAll
+	 * @param {string[]} urls - The urls
+	 * @param {?function} [handler] - See fetch
+	 * @returns {Promise<any[]>} - The results, in the same order as the urls
+	 */
+	fetchAll(urls, handler = null)
 	{
-		throw "No ancestor given and no current page set";
+		return Promise.all(urls.map(url => this.fetch(url, handler)));
 	}
+
+	/**
+	 * Gets the rate limiting state of a host
+	 * @function getHost
+	 * @param {string} host - The host
+	 * @returns {object}
+	 */
+	getHost(host)
+	{
+		if(!this.hosts.has(host))
+		{
+			this.hosts.set(host, {
+				active: 0,
+				next  : 0
+			});
+		}
+
+		return this.hosts.get(host);
+	}
+
+	/**
+	 * Starts queued urls while there is capacity; a url only takes a slot once its host's delay has passed, so throttled hosts do not hold up the others
+	 * @function next
+	 */
+	next()
+	{
+		while(this.active < this.concurrency)
+		{
+			const now = Date.now();
+			const index = this.queue.findIndex(job =>
+			                                   {
+				                                   const host = this.getHost(job.host);
+				                                   return host.active < this.hostConcurrency && host.next <= now;
+			                                   });
+
+			if(index === -1)
+			{
+				this.wakeForDelay(now);
+				break;
+			}
+
+			const job = this.queue.splice(index, 1)[0];
+			const host = this.getHost(job.host);
+			this.active++;
+			host.active++;
+			host.next = now + this.delay;
+			this.run(job);
+		}
+
+		if(this.active === 0 && this.queue.length === 0)
+		{
+			for(const resolve of this.drainWaiters.splice(0))
+			{
+				resolve();
+			}
+		}
+	}
+
+	/**
+	 * Schedules next for when the earliest host that is only waiting out its delay becomes ready
+	 * @function wakeForDelay
+	 * @param {number} now - The current time
+	 */
+	wakeForDelay(now)
+	{
+		let wakeAt = Infinity;
+
+		for(const job of this.queue)
+		{
+			const host = this.getHost(job.host);
+
+			if(host.active < this.hostConcurrency)
+			{
+				wakeAt = Math.min(wakeAt, host.next);
+			}
+		}
+
+		if(wakeAt === Infinity || (this.wakeTimer && this.wakeAt <= wakeAt))
+		{
+			return;
+		}
+
+		clearTimeout(this.wakeTimer);
+		this.wakeAt = wakeAt;
+		this.wakeTimer = setTimeout(() =>
+		                            {
+			                            this.wakeTimer = null;
+			                            this.wakeAt = Infinity;
+			                            this.next();
+		                            }, wakeAt - now);
+	}
+
+	/**
+	 * Loads a url on a free page and settles its promise
+	 * @function run
+	 * @param {object} job - The queued url
+	 */
+	async run(job)
+	{
+		const host = this.getHost(job.host);
+		let page = null;
+
+		try
+		{
+			page = this.idlePages.length > 0 ? this.idlePages.pop() : await this.session.newPage();
+			await this.session.navigate(page, job.url, this.navigation);
+			job.resolve(await (job.handler ? job.handler(page, job.url) : page.content()));
+		}
+		catch(err)
+		{
+			if(page)
+			{
+				await this.session.captureFailure(page, err);
+			}
+
+			job.reject(err);
+		}
+
+		if(page)
+		{
+			if(this.reuse && !this.closed)
+			{
+				this.idlePages.push(page);
+			}
+			else
+			{
+				await page.close().catch(() => null);
+			}
+		}
+
+		this.active--;
+		host.active--;
+		this.next();
+	}
+
+	/**
+	 * Waits for every queued url to finish
+	 * @function drain
+	 * @returns {Promise<void>}
+	 */
+	drain()
+	{
+		if(this.active === 0 && this.queue.length === 0)
+		{
+			return Promise.resolve();
+		}
+
+		return new Promise(resolve => this.drainWaiters.push(resolve));
+	}
+
+	/**
+	 * Stops accepting urls, waits for the queued ones to finish and closes the pool's pages
+	 * @function close
+	 * @returns {Promise<void>}
+	 */
+	async close()
+	{
+		this.closed = true;
+		await this.drain();
+
+		for(const page of this.idlePages.splice(0))
+		{
+			await page.close().catch(() => null);
+		}
+	}
+}
+
+const defaultSession = new Canditeer();
+
+/**
+ * Gets the session used by the module-level functions
+ * @function getDefaultSession
+ * @returns {Canditeer}
+ */
+export function getDefaultSession()
+{
+	return defaultSession;
+}
+
+/**
+ * Initialises the browser instance
+ * @function init
+ * @param {boolean} [showBrowserIn] - Whether to show the browser window
+ */
+export function init(showBrowserIn = false)
+{
+	return defaultSession.init(showBrowserIn);
+}
+
+/**
+ * Gets the text content from a given element or selector
+ * @function getText
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @returns {Promise<any>} - The text content of the element
+ */
+export function getText(elementIn)
+{
+	return defaultSession.getText(elementIn);
+}
+
+/**
+ * Gets an attribute from the given element instance (can find the element first if given a selector)
+ * @function getAttribute
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {string} attribute - Any ancestor of the element; used as a search base
+ * @returns {Promise<any>} - The value of the attribute
+ */
+export function getAttribute(elementIn, attribute)
+{
+	return defaultSession.getAttribute(elementIn, attribute);
 }
 
 /**
@@ -108,18 +1591,13 @@ function getAncestorFrom(ancestor)
  * @function getElement
  * @param {string} selector - The selector
  * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
- * @returns {Promise<puppeteer.ElementHandle>} - The found element
+ * @param {?object} [options] - Options object; see Canditeer.getElement
+ * @returns {Promise<?puppeteer.ElementHandle>} - The found element, or null if it could not be found
  * @throws Error if no selector is given
  */
-export function getElement(selector, ancestor = null)
+export function getElement(selector, ancestor = null, options = null)
 {
-	if(!selector)
-	{
-		throw "No selector given";
-	}
-
-	let from = getAncestorFrom(ancestor);
-	return from.$(selector);
+	return defaultSession.getElement(selector, ancestor, options);
 }
 
 /**
@@ -132,13 +1610,7 @@ export function getElement(selector, ancestor = null)
  */
 export function getElements(selector, ancestor = null)
 {
-	if(!selector)
-	{
-		throw "No selector given";
-	}
-
-	const from = getAncestorFrom(ancestor);
-	return from.$$(selector);
+	return defaultSession.getElements(selector, ancestor);
 }
 
 /**
@@ -146,30 +1618,209 @@ export function getElements(selector, ancestor = null)
  * @function fetchPage
  * @param {string} url - The element or selector to find the element
  * @param {boolean} [setWith] - Whether to set the page as the page to use with canditeer
+ * @param {?object} [options] - Options object; see Canditeer.getWaitOptions
  * @returns {Page} - The value of the attribute
+ * @throws NavigationError if the page could not be loaded after all retries
  */
-export async function fetchPage(url, setWith = true)
+export function fetchPage(url, setWith = true, options = null)
 {
-	const page = await browser.newPage();
-	await page.goto(url);
+	return defaultSession.fetchPage(url, setWith, options);
+}
 
-	if(setWith)
-	{
-		currentPage = page;
-	}
+/**
+ * Converts a table on the page to an array of objects
+ * @function getTable
+ * @param {(object|string)} elementIn - The table element or a selector to find it
+ * @param {string[]} rawHeaders - The headers to use for the data; supports the candiutil header syntax
+ * @param {?function} [unknownDataProcessor] - A function to use for processing unknown or unrecognised data
+ * @param {string} [rowSelector] - A CSS selector to select the rows of the table
+ * @param {?object} [options] - Options object; see Canditeer.getTable
+ * @returns {Promise<object[]>}
+ */
+export function getTable(elementIn, rawHeaders, unknownDataProcessor = null, rowSelector = "tbody tr", options = null)
+{
+	return defaultSession.getTable(elementIn, rawHeaders, unknownDataProcessor, rowSelector, options);
+}
 
-	return page;
+/**
+ * Saves the browser's cookies and the current page's localStorage to a file
+ * @function saveSession
+ * @param {?string} [file] - The filename; the sessionFile option if not given
+ * @returns {Promise<void>}
+ */
+export function saveSession(file = null)
+{
+	return defaultSession.saveSession(file);
 }
 
 /**
- * Closes the browser window if necessary
+ * Restores cookies and localStorage saved by saveSession for every page opened afterwards
+ * @function restoreSession
+ * @param {?string} [file] - The filename; the sessionFile option if not given
+ */
+export function restoreSession(file = null)
+{
+	defaultSession.restoreSession(file);
+}
+
+/**
+ * Saves a screenshot of the current page
+ * @function screenshot
+ * @param {string} file - The filename; the extension decides the image type (png, jpeg or webp)
+ * @returns {Promise<void>}
+ */
+export function screenshot(file)
+{
+	return defaultSession.screenshot(file);
+}
+
+/**
+ * Saves the current page as a PDF (only supported by headless browsers)
+ * @function savePdf
+ * @param {string} file - The filename
+ * @returns {Promise<void>}
+ */
+export function savePdf(file)
+{
+	return defaultSession.savePdf(file);
+}
+
+/**
+ * Saves the HTML of the current page as currently rendered
+ * @function saveHtml
+ * @param {string} file - The filename
+ * @returns {Promise<void>}
+ */
+export function saveHtml(file)
+{
+	return defaultSession.saveHtml(file);
+}
+
+/**
+ * Registers a handler for network responses whose url matches the pattern
+ * @function onResponse
+ * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+ * @param {function} handler - A function taking the puppeteer HTTPResponse
+ * @returns {function} - A function which removes the handler
+ */
+export function onResponse(pattern, handler)
+{
+	return defaultSession.onResponse(pattern, handler);
+}
+
+/**
+ * Captures the bodies of network responses whose url matches the pattern
+ * @function captureResponses
+ * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+ * @returns {object[]} - An array which fills with url, status and body for each response
+ */
+export function captureResponses(pattern)
+{
+	return defaultSession.captureResponses(pattern);
+}
+
+/**
+ * Clicks an element
+ * @function click
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {?object} [options] - Options object; see Canditeer.click
+ * @returns {Promise<void>}
+ */
+export function click(elementIn, options = null)
+{
+	return defaultSession.click(elementIn, options);
+}
+
+/**
+ * Types text into an element
+ * @function type
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {string} text - The text to type
+ * @param {?object} [options] - Options object; see Canditeer.type
+ * @returns {Promise<void>}
+ */
+export function type(elementIn, text, options = null)
+{
+	return defaultSession.type(elementIn, text, options);
+}
+
+/**
+ * Chooses options in a select element
+ * @function select
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {...string} values - The values of the options to choose
+ * @returns {Promise<string[]>} - The values that were chosen
+ */
+export function select(elementIn, ...values)
+{
+	return defaultSession.select(elementIn, ...values);
+}
+
+/**
+ * Scrolls to the bottom of the current page repeatedly until no new items appear
+ * @function scroll
+ * @param {?string} [itemSelector] - A selector for the items being loaded
+ * @param {?object} [options] - Options object; see Canditeer.scroll
+ * @returns {Promise<number>} - The number of items (or the page height) at the end
+ */
+export function scroll(itemSelector = null, options = null)
+{
+	return defaultSession.scroll(itemSelector, options);
+}
+
+/**
+ * Walks through pages by clicking the next button, extracting results from each page
+ * @function paginate
+ * @param {string} nextSelector - A selector for the next page button or link
+ * @param {function} extractFn - A function taking the current page and the page number and returning the results for the page
+ * @param {?object} [options] - Options object; see Canditeer.paginate
+ * @returns {Promise<any[]>} - The results from every page
+ */
+export function paginate(nextSelector, extractFn, options = null)
+{
+	return defaultSession.paginate(nextSelector, extractFn, options);
+}
+
+/**
+ * Creates a pool of pages for fetching many urls with bounded concurrency and per-host rate limiting
+ * @function createPool
+ * @param {?object} options - Options object; see PagePool
+ * @returns {PagePool}
+ */
+export function createPool(options = null)
+{
+	return defaultSession.createPool(options);
+}
+
+/**
+ * Closes the browser and every page opened with it
  * @function done
+ * @returns {Promise<void>}
+ */
+export function done()
+{
+	return defaultSession.done();
+}
+
+/**
+ * Runs a function with a new session, closing the session's browser afterwards whether or not the function succeeds
+ * @function withBrowser
+ * @param {function} fn - An async function taking the initialised session
+ * @param {?object} [options] - Options object; see Canditeer
+ * @returns {Promise<any>} - The result of the function
  */
-export async function done()
+export async function withBrowser(fn, options = null)
 {
-	if(!showBrowser)
+	const session = new Canditeer(options);
+	await session.init();
+
+	try
+	{
+		return await fn(session);
+	}
+	finally
 	{
-		await browser.close();
+		await session.done();
 	}
 }
 
@@ -180,5 +1831,5 @@ export async function done()
  */
 export function withPage(page)
 {
-	currentPage = page;
+	defaultSession.withPage(page);
 }
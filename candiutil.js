@@ -5,6 +5,8 @@
 
 import chalk   from "chalk";
 import {load}  from "cheerio";
+import {formatRows} from "./candicsv.js";
+import crypto  from "crypto";
 import fs      from "fs";
 import {JSDOM} from "jsdom";
 import fetch   from "node-fetch";
@@ -214,12 +216,13 @@ export function color(str, ...tags)
  * Fetch a url as a file, using cache if possible
  * @param {string} url - The url
  * @param {string} file - The filename to save the file as
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object; see fetchAsText
  * @returns {Promise<void>}
  */
-export async function fetchAsFile(url, file)
+export async function fetchAsFile(url, file, options = true)
 {
-	logStart(url, file);
-	const html = await fetchAsText(url);
+	logStart(url, file, options);
+	const html = await fetchAsText(url, options);
 	fs.writeFileSync(file, html);
 	logEnd(html);
 }
@@ -262,11 +265,8 @@ export function writeFile(file, str)
 	logEnd();
 }
 
-const cacheDir = "./cache";
-const ttl = 1000 * 60 * 60 * 24 * 7; //1 week
-
 /**
- * Creates a directory
+ * Creates a directory, along with any missing parent directories
  * @param {string} dir - The directory to create
  */
 export function mkDir(dir)
@@ -274,102 +274,1216 @@ export function mkDir(dir)
 	logStart(dir);
 	if(!fs.existsSync(dir))
 	{
-		fs.mkdirSync(dir);
+		fs.mkdirSync(dir, {recursive: true});
 	}
 	logEnd();
 }
 
 /**
- * Determines whether a cached file is expired
+ * Determines whether a given file exists
  * @param {string} file - The filename
  * @returns {boolean}
  */
-function isExpired(file)
+export function exists(file)
 {
 	logStart(file);
-	const stats = fs.statSync(file);
-	const modified = new Date(stats.mtime).getTime();
-	const expires = modified + ttl;
+	const exists = fs.existsSync(file);
+	logEnd(exists);
+	return exists;
+}
+
+const cacheDefaults = {
+	cacheDir: "./cache",
+	ttl: 1000 * 60 * 60 * 24 * 7, //1 week
+	cacheControl: false
+};
+
+/**
+ * Sets the cache settings used when a fetch does not give its own
+ * @param {object} options - Options object
+ * @param {string} [options.cacheDir] - The cache directory
+ * @param {number} [options.ttl] - How long entries stay fresh in ms
+ * @param {boolean} [options.cacheControl] - Whether to follow the server's Cache-Control max-age, no-cache and no-store instead of ttl
+ */
+export function setCacheDefaults(options)
+{
+	logStart(options);
+	const settings = getFetchSettings(options);
+	cacheDefaults.cacheDir = settings.cacheDir;
+	cacheDefaults.ttl = settings.ttl;
+	cacheDefaults.cacheControl = settings.cacheControl;
+	logEnd();
+}
+
+/**
+ * Gets the cache settings used when a fetch does not give its own
+ * @returns {object} - cacheDir, ttl and cacheControl
+ */
+export function getCacheDefaults()
+{
+	return Object.assign({}, cacheDefaults);
+}
+
+const fetchDefaults = {
+	timeout    : 30000,
+	retries    : 2,
+	backoff    : 1000,
+	robots     : false,
+	robotsAgent: "*",
+	headers    : {},
+	cookieJar  : null,
+	keyHeaders : ["accept", "accept-language", "authorization", "user-agent"],
+	retryUnsafe: false
+};
+const safeMethods = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Sets the request settings used when a fetch does not give its own
+ * @param {object} options - Options object
+ * @param {number} [options.timeout] - Ms before a request is aborted
+ * @param {number} [options.retries] - How many times to retry after a network error, a 429 or a 5xx
+ * @param {number} [options.backoff] - Ms to wait before the first retry; doubles with each retry
+ * @param {boolean} [options.robots] - Whether to refuse urls disallowed by the site's robots.txt and follow its Crawl-delay
+ * @param {string} [options.robotsAgent] - The user agent to find rules for in robots.txt
+ * @param {object} [options.headers] - Headers sent with every request, e.g. User-Agent
+ * @param {CookieJar} [options.cookieJar] - A CookieJar shared by every request
+ * @param {string[]} [options.keyHeaders] - The request headers that are part of the cache key, besides the cookies sent, which always are
+ * @param {boolean} [options.retryUnsafe] - Whether to retry methods other than GET, HEAD and OPTIONS, which might repeat their effect
+ */
+export function setFetchDefaults(options)
+{
+	logStart(options);
+	const settings = getFetchSettings(options);
+	fetchDefaults.timeout = settings.timeout;
+	fetchDefaults.retries = settings.retries;
+	fetchDefaults.backoff = settings.backoff;
+	fetchDefaults.robots = settings.robots;
+	fetchDefaults.robotsAgent = settings.robotsAgent;
+	fetchDefaults.headers = settings.headers;
+	fetchDefaults.cookieJar = settings.cookieJar;
+	fetchDefaults.keyHeaders = settings.keyHeaders;
+	fetchDefaults.retryUnsafe = settings.retryUnsafe;
+	logEnd();
+}
+
+/**
+ * Gets the request settings used when a fetch does not give its own
+ * @returns {object} - timeout, retries, backoff, robots, robotsAgent, headers, cookieJar, keyHeaders and retryUnsafe
+ */
+export function getFetchDefaults()
+{
+	return Object.assign({}, fetchDefaults);
+}
 
-	if(expires <= modified)
+/**
+ * Parses the options for a fetch or cache function
+ * @param {?(object|boolean)} options - Options object, or whether to use caching
+ * @returns {object} - The settings
+ */
+function getFetchSettings(options)
+{
+	const settings = {
+		cache       : null,
+		cacheDir    : cacheDefaults.cacheDir,
+		ttl         : cacheDefaults.ttl,
+		cacheControl: cacheDefaults.cacheControl,
+		timeout     : fetchDefaults.timeout,
+		retries     : fetchDefaults.retries,
+		backoff     : fetchDefaults.backoff,
+		robots      : fetchDefaults.robots,
+		robotsAgent : fetchDefaults.robotsAgent,
+		headers     : Object.assign({}, fetchDefaults.headers),
+		cookieJar   : fetchDefaults.cookieJar,
+		keyHeaders  : fetchDefaults.keyHeaders,
+		retryUnsafe : fetchDefaults.retryUnsafe,
+		method      : null,
+		body        : null,
+		expired     : false
+	};
+
+	if(typeof options === "boolean")
 	{
-		logEnd(true);
-		return true;
+		settings.cache = options;
+		options = null;
 	}
-	else
+
+	for(const option of Object.keys(options ? options : {}))
+	{
+		const value = options[option];
+
+		switch(option.toLowerCase())
+		{
+			case "cache":
+				settings.cache = value;
+				break;
+			case "cachedir":
+				settings.cacheDir = value;
+				break;
+			case "ttl":
+				settings.ttl = value;
+				break;
+			case "cachecontrol":
+				settings.cacheControl = value;
+				break;
+			case "timeout":
+				settings.timeout = value;
+				break;
+			case "retries":
+				settings.retries = value;
+				break;
+			case "backoff":
+				settings.backoff = value;
+				break;
+			case "robots":
+				settings.robots = value;
+				break;
+			case "robotsagent":
+				settings.robotsAgent = value;
+				break;
+			case "headers":
+				for(const header of Object.keys(value))
+				{
+					settings.headers[header.toLowerCase()] = value[header];
+				}
+				break;
+			case "cookiejar":
+				settings.cookieJar = value;
+				break;
+			case "keyheaders":
+				settings.keyHeaders = value.map(header => header.toLowerCase());
+				break;
+			case "retryunsafe":
+				settings.retryUnsafe = value;
+				break;
+			case "method":
+				settings.method = value.toUpperCase();
+				break;
+			case "body":
+				settings.body = value;
+				break;
+			case "form":
+				settings.body = new URLSearchParams(value).toString();
+				setDefaultHeader(settings.headers, "content-type", "application/x-www-form-urlencoded");
+				break;
+			case "json":
+				settings.body = JSON.stringify(value);
+				setDefaultHeader(settings.headers, "content-type", "application/json");
+				break;
+			case "expired":
+				settings.expired = value;
+				break;
+			default:
+				throw "Unrecognised option: " + option;
+		}
+	}
+
+	if(!settings.method)
+	{
+		settings.method = settings.body !== null ? "POST" : "GET";
+	}
+
+	if(settings.cache === null)
 	{
-		logEnd(false);
-		return false;
+		settings.cache = safeMethods.includes(settings.method);
 	}
+
+	return settings;
 }
 
 /**
- * Determines whether a given file exists
- * @param {string} file - The filename
+ * Sets a header unless it has already been given
+ * @param {object} headers - The headers, with lower case names
+ * @param {string} name - The header name, lower case
+ * @param {string} value - The value
+ */
+function setDefaultHeader(headers, name, value)
+{
+	if(!headers[name])
+	{
+		headers[name] = value;
+	}
+}
+
+/**
+ * Gets the cache key for a request; a hash of the method, the full url, the headers and the body
+ * @param {string} url - The url
+ * @param {string} [method] - The HTTP method
+ * @param {?string} [body] - The request body
+ * @param {?object} [headers] - The request headers that change the response
+ * @returns {string}
+ */
+export function getCacheKey(url, method = "GET", body = null, headers = null)
+{
+	const hash = crypto.createHash("sha256");
+	hash.update(method.toUpperCase() + " " + url);
+
+	for(const header of Object.keys(headers ? headers : {}).sort())
+	{
+		hash.update("\n" + header.toLowerCase() + ": " + headers[header]);
+	}
+
+	if(body !== null && body !== undefined)
+	{
+		hash.update("\n\n" + (typeof body === "string" ? body : JSON.stringify(body)));
+	}
+
+	return hash.digest("hex");
+}
+
+/**
+ * Gets the cache key for a request from the fetch settings; covers the keyHeaders and the cookies that will be sent, so responses for one login are never served to another
+ * @param {string} url - The url
+ * @param {object} settings - The fetch settings
+ * @returns {string}
+ */
+function getRequestKey(url, settings)
+{
+	const headers = {};
+
+	for(const header of settings.keyHeaders)
+	{
+		if(settings.headers[header] !== undefined)
+		{
+			headers[header] = settings.headers[header];
+		}
+	}
+
+	const cookies = [settings.headers["cookie"], settings.cookieJar ? settings.cookieJar.getCookieHeader(url) : null].filter(cookie => cookie);
+
+	if(cookies.length > 0)
+	{
+		headers["cookie"] = cookies.join("; ");
+	}
+
+	return getCacheKey(url, settings.method, settings.body, headers);
+}
+
+/**
+ * Gets the files a cache entry is stored in
+ * @param {string} dir - The cache directory
+ * @param {string} key - The cache key
+ * @returns {object} - body and meta filenames
+ */
+function getCacheFiles(dir, key)
+{
+	return {
+		body: dir + "/" + key + ".body",
+		meta: dir + "/" + key + ".json"
+	};
+}
+
+/**
+ * Parses a Cache-Control header
+ * @param {?string} header - The header
+ * @returns {object} - The directives, lower case; those without a value are true
+ */
+function parseCacheControl(header)
+{
+	const directives = {};
+
+	for(const part of (header ? header : "").split(","))
+	{
+		const [name, value] = part.trim().split("=");
+
+		if(name)
+		{
+			directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, "");
+		}
+	}
+
+	return directives;
+}
+
+/**
+ * Works out how long a response stays fresh
+ * @param {object} headers - The response headers
+ * @param {object} settings - The fetch settings
+ * @returns {number} - The lifetime in ms
+ */
+function getLifetime(headers, settings)
+{
+	if(!settings.cacheControl)
+	{
+		return settings.ttl;
+	}
+
+	const directives = parseCacheControl(headers["cache-control"]);
+
+	if(directives["no-cache"])
+	{
+		return 0;
+	}
+
+	const maxAge = parseInt(directives["max-age"]);
+	return isNaN(maxAge) ? settings.ttl : maxAge * 1000;
+}
+
+/**
+ * Reads the metadata of a cache entry
+ * @param {string} file - The metadata filename
+ * @param {object} settings - The fetch settings
+ * @returns {?object} - The metadata with its expiry worked out, or null if the entry is incomplete
+ */
+function readCacheMeta(file, settings)
+{
+	const bodyFile = file.replace(/\.json$/, ".body");
+
+	if(!fs.existsSync(file) || !fs.existsSync(bodyFile))
+	{
+		return null;
+	}
+
+	const meta = JSON.parse(getFile(file));
+	meta.file = bodyFile;
+	meta.expires = meta.fetched + getLifetime(meta.headers, settings);
+	meta.expired = isExpired(meta);
+	return meta;
+}
+
+/**
+ * Determines whether a cache entry is expired
+ * @param {object} meta - The entry's metadata
  * @returns {boolean}
  */
-export function exists(file)
+function isExpired(meta)
 {
-	logStart(file);
-	const exists = fs.existsSync(file);
-	logEnd(exists);
-	return exists;
+	logStart(meta.url, meta.expires);
+	const expired = Date.now() >= meta.expires;
+	logEnd(expired);
+	return expired;
+}
+
+/**
+ * Writes a response to the cache
+ * @param {object} settings - The fetch settings
+ * @param {string} key - The cache key
+ * @param {object} meta - The metadata; url, method, status and headers
+ * @param {string} body - The response body
+ */
+function writeCacheEntry(settings, key, meta, body)
+{
+	mkDir(settings.cacheDir);
+	const files = getCacheFiles(settings.cacheDir, key);
+	writeFile(files.body, body);
+	writeJson(files.meta, Object.assign({key: key, fetched: Date.now()}, meta));
 }
 
 /**
- * Fetches a url as raw text
+ * Gets the metadata of the cache entry for a url, without fetching anything
  * @param {string} url - The url
- * @param {boolean=true} doCache - Whether to use caching
- * @returns {Promise<string>}
+ * @param {?object} [options] - Options object; method, headers, body, form and json (as for the request), cacheDir, ttl and cacheControl
+ * @returns {?object} - url, method, status, headers, fetched and expires (timestamps in ms), expired and file (the cached body), or null if the url is not cached
  */
-export async function fetchAsText(url, doCache = true)
+export function getCacheEntry(url, options = null)
 {
-	logStart(url, doCache);
-	const matches = url.match(/\/[^\/]+/ig);
-	const fileCandidate = matches[matches.length - 1].slice(1);
-	let file = fileCandidate;
+	logStart(url, options);
+	const settings = getFetchSettings(options);
+	const files = getCacheFiles(settings.cacheDir, getRequestKey(url, settings));
+	const meta = readCacheMeta(files.meta, settings);
+	logEnd(meta);
+	return meta;
+}
 
-	if(!fileCandidate.match(/\.\w+/))
+/**
+ * Lists every entry in the cache
+ * @param {?object} [options] - Options object; cacheDir, ttl, cacheControl, and expired (only list expired entries)
+ * @returns {object[]} - The metadata of each entry (see getCacheEntry)
+ */
+export function listCache(options = null)
+{
+	logStart(options);
+	const settings = getFetchSettings(options);
+	const entries = [];
+
+	if(fs.existsSync(settings.cacheDir))
 	{
-		file = fileCandidate + ".html";
+		for(const file of fs.readdirSync(settings.cacheDir))
+		{
+			if(!file.endsWith(".json"))
+			{
+				continue;
+			}
+
+			const meta = readCacheMeta(settings.cacheDir + "/" + file, settings);
+
+			if(meta && (!settings.expired || meta.expired))
+			{
+				entries.push(meta);
+			}
+		}
 	}
 
-	mkDir(cacheDir);
-	const cache = cacheDir + "/" + file;
+	logEnd(entries.length);
+	return entries;
+}
 
-	if(doCache && exists(cache))
+/**
+ * Removes the cache entry for a url
+ * @param {string} url - The url
+ * @param {?object} [options] - Options object; method, headers, body, form and json (as for the request) and cacheDir
+ * @returns {boolean} - Whether there was an entry to remove
+ */
+export function invalidateCache(url, options = null)
+{
+	logStart(url, options);
+	const settings = getFetchSettings(options);
+	const files = getCacheFiles(settings.cacheDir, getRequestKey(url, settings));
+	let removed = false;
+
+	for(const file of [files.body, files.meta])
 	{
-		//Cache Exists
-		log.trace("Cache Exists");
-		if(isExpired(cache))
+		if(fs.existsSync(file))
 		{
-			//Cache Exists & Expired
-			log.info("Cache expiring for " + url);
-			fs.unlinkSync(cache);
+			fs.unlinkSync(file);
+			removed = true;
 		}
-		else
+	}
+
+	logEnd(removed);
+	return removed;
+}
+
+/**
+ * Removes entries from the cache
+ * @param {?object} [options] - Options object; cacheDir, ttl, cacheControl, and expired (only remove expired entries)
+ * @returns {number} - The number of entries removed
+ */
+export function purgeCache(options = null)
+{
+	logStart(options);
+	const entries = listCache(options);
+
+	for(const entry of entries)
+	{
+		fs.rmSync(entry.file, {force: true});
+		fs.rmSync(entry.file.replace(/\.body$/, ".json"), {force: true});
+	}
+
+	log.info("Purged " + entries.length + " cache entries");
+	logEnd(entries.length);
+	return entries.length;
+}
+
+/**
+ * Fetches a url as raw text; once a cached response expires it is revalidated with If-None-Match/If-Modified-Since
+ * if the server sent an ETag or Last-Modified, and a 304 keeps the cached copy. Only successful responses are cached
+ * @param {string} url - The url
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object, which also takes cacheDir, ttl and cacheControl to override the cache defaults (see setCacheDefaults)
+ * and timeout, retries, backoff, robots, robotsAgent, cookieJar, keyHeaders and retryUnsafe to override the request defaults (see setFetchDefaults)
+ * @param {boolean} [options.cache] - Whether to use caching; defaults to true for GET, HEAD and OPTIONS, otherwise false
+ * @param {object} [options.headers] - Headers added to the default headers
+ * @param {string} [options.method] - The request method; defaults to POST if there is a body, otherwise GET
+ * @param {(string|Buffer)} [options.body] - The request body
+ * @param {object} [options.form] - An object sent url encoded as the body
+ * @param {object} [options.json] - An object sent as JSON as the body
+ * @returns {Promise<string>}
+ * @throws FetchError if the response is not successful, or the request failed, after all retries
+ * @throws RobotsDisallowedError if robots is set and the site's robots.txt disallows the url
+ */
+export async function fetchAsText(url, options = true)
+{
+	logStart(url, options);
+	const settings = getFetchSettings(options);
+	const key = getRequestKey(url, settings);
+	const files = getCacheFiles(settings.cacheDir, key);
+	const headers = Object.assign({}, settings.headers);
+	let cached = null;
+
+	if(settings.cache)
+	{
+		cached = readCacheMeta(files.meta, settings);
+
+		if(cached && !cached.expired)
 		{
 			log.trace("Cache not expired");
-			//Cache Exists & Not Expired
-			const out = getFile(cache);
+			const out = getFile(cached.file);
 			logEnd(out);
 			return out;
 		}
+
+		if(cached && cached.headers["etag"])
+		{
+			headers["if-none-match"] = cached.headers["etag"];
+		}
+
+		if(cached && cached.headers["last-modified"])
+		{
+			headers["if-modified-since"] = cached.headers["last-modified"];
+		}
+	}
+
+	if(settings.robots && !(await isAllowedByRobots(url, settings.robotsAgent)))
+	{
+		throw new RobotsDisallowedError(url);
 	}
 
 	log.trace("Fetching URL");
-	const response = await fetch(url);
-	const html = await response.text();
+	const response = await fetchWithRetries(url, settings, {method: settings.method, body: settings.body, headers: headers});
+	const responseHeaders = response.headers;
 
-	if(doCache)
+	if(cached && response.status === 304)
 	{
-		writeFile(cache, html);
+		log.trace("Cache revalidated for " + url);
+		cached.headers = Object.assign(cached.headers, responseHeaders);
+		cached.fetched = Date.now();
+		writeJson(files.meta, {key: key, fetched: cached.fetched, url: cached.url, method: cached.method, status: cached.status, headers: cached.headers});
+		const out = getFile(cached.file);
+		logEnd(out);
+		return out;
+	}
+
+	const html = response.body;
+
+	if(settings.cache && settings.cacheControl && parseCacheControl(responseHeaders["cache-control"])["no-store"])
+	{
+		log.trace("Not caching " + url + " (no-store)");
+		fs.rmSync(files.body, {force: true});
+		fs.rmSync(files.meta, {force: true});
+	}
+	else if(settings.cache)
+	{
+		if(cached)
+		{
+			log.info("Cache expiring for " + url);
+		}
+
+		writeCacheEntry(settings, key, {
+			url    : url,
+			method : settings.method,
+			status : response.status,
+			headers: responseHeaders
+		}, html);
 	}
 
 	logEnd(html);
 	return html;
 }
 
+/**
+ * Makes a request, retrying network errors, timeouts, 429s and 5xxs with exponential backoff (or as long as the server's Retry-After says); only GET, HEAD and OPTIONS are retried unless retryUnsafe is set
+ * @param {string} url - The url
+ * @param {object} settings - The fetch settings
+ * @param {object} init - The options for fetch
+ * @returns {Promise<object>} - status, headers and body of a successful or 304 response
+ * @throws FetchError if the response is not successful, or the request failed, after all retries
+ */
+async function fetchWithRetries(url, settings, init)
+{
+	for(let attempt = 1; ; attempt++)
+	{
+		const release = await acquireHost(url);
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), settings.timeout);
+		let error;
+		let retryAfter = null;
+
+		try
+		{
+			const request = Object.assign({}, init, {signal: controller.signal});
+			const response = await (settings.cookieJar ? fetchWithCookies(url, settings.cookieJar, request) : fetch(url, request));
+			const out = {
+				status : response.status,
+				headers: Object.fromEntries(response.headers.entries()),
+				body   : await response.text()
+			};
+
+			if(response.ok || response.status === 304)
+			{
+				return out;
+			}
+
+			error = new FetchError(url, attempt, out.status, out.body);
+			retryAfter = parseRetryAfter(out.headers["retry-after"]);
+		}
+		catch(err)
+		{
+			error = new FetchError(url, attempt, null, null, controller.signal.aborted ? "Timed out after " + settings.timeout + "ms" : err);
+		}
+		finally
+		{
+			clearTimeout(timer);
+			release();
+		}
+
+		const retryable = (safeMethods.includes(settings.method) || settings.retryUnsafe) && (error.status === null || error.status === 429 || error.status >= 500);
+
+		if(!retryable || attempt > settings.retries)
+		{
+			throw error;
+		}
+
+		const backoff = settings.backoff * Math.pow(2, attempt - 1);
+		const delay = retryAfter !== null ? retryAfter : backoff / 2 + Math.random() * backoff / 2;
+		log.warn(error.message + "; retrying in " + Math.round(delay) + "ms");
+		await sleep(delay);
+	}
+}
+
+const redirectStatuses = [301, 302, 303, 307, 308];
+const maxRedirects = 20;
+
+/**
+ * Makes a request, following redirects itself so the cookies set by every response on the way reach the jar and go out with the next hop
+ * @param {string} url - The url
+ * @param {CookieJar} cookieJar - The cookie jar
+ * @param {object} init - The options for fetch
+ * @returns {Promise<Response>} - The final response
+ * @throws Error if there are too many redirects
+ */
+async function fetchWithCookies(url, cookieJar, init)
+{
+	let target = url;
+	let request = Object.assign({}, init, {headers: Object.assign({}, init.headers), redirect: "manual"});
+
+	for(let redirects = 0; ; redirects++)
+	{
+		const headers = Object.assign({}, request.headers);
+		const cookies = cookieJar.getCookieHeader(target);
+
+		if(cookies)
+		{
+			headers["cookie"] = headers["cookie"] ? headers["cookie"] + "; " + cookies : cookies;
+		}
+
+		const response = await fetch(target, Object.assign({}, request, {headers: headers}));
+		const setCookies = response.headers.raw()["set-cookie"];
+
+		for(const setCookie of setCookies ? setCookies : [])
+		{
+			cookieJar.setCookie(setCookie, target);
+		}
+
+		const location = response.headers.get("location");
+
+		if(!redirectStatuses.includes(response.status) || !location)
+		{
+			return response;
+		}
+
+		if(redirects >= maxRedirects)
+		{
+			throw "Too many redirects from " + url;
+		}
+
+		await response.arrayBuffer();
+		const next = new URL(location, target).href;
+
+		//Like browsers, POSTs become GETs on a 303, 301 or 302, dropping the body
+		if(response.status === 303 || ((response.status === 301 || response.status === 302) && request.method === "POST"))
+		{
+			request = Object.assign({}, request, {method: "GET", body: null});
+			delete request.headers["content-type"];
+		}
+
+		if(new URL(next).origin !== new URL(target).origin)
+		{
+			request = Object.assign({}, request, {headers: Object.assign({}, request.headers)});
+			delete request.headers["authorization"];
+			delete request.headers["cookie"];
+		}
+
+		target = next;
+	}
+}
+
+/**
+ * Parses a Retry-After header
+ * @param {?string} header - The header; a number of seconds or an HTTP date
+ * @returns {?number} - The delay in ms, or null if there is no usable header
+ */
+function parseRetryAfter(header)
+{
+	if(!header)
+	{
+		return null;
+	}
+
+	if(/^\d+$/.test(header.trim()))
+	{
+		return parseInt(header) * 1000;
+	}
+
+	const date = Date.parse(header);
+	return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const hostLimitDefaults = {
+	requestsPerSecond: null,
+	concurrency      : Infinity,
+	delay            : 0
+};
+const hostLimits = new Map();
+const hosts = new Map();
+
+/**
+ * Limits how often and how many requests at once are made to a host by fetchAsText, fetchDocument and fetchAsFile
+ * @param {object} options - Options object
+ * @param {number} [options.requestsPerSecond] - The most requests started per second
+ * @param {number} [options.concurrency] - The most requests in flight at once
+ * @param {number} [options.delay] - The least ms between the starts of two requests
+ * @param {?string} [host] - The host (e.g. example.com:8080) to set the limits for; the limits for every host without its own if not given
+ */
+export function setHostLimits(options, host = null)
+{
+	logStart(options, host);
+	const limits = getHostLimits(host);
+
+	for(const option of Object.keys(options))
+	{
+		const value = options[option];
+
+		switch(option.toLowerCase())
+		{
+			case "requestspersecond":
+				limits.requestsPerSecond = value;
+				break;
+			case "concurrency":
+				limits.concurrency = value;
+				break;
+			case "delay":
+				limits.delay = value;
+				break;
+			default:
+				throw "Unrecognised option: " + option;
+		}
+	}
+
+	if(host)
+	{
+		hostLimits.set(host, limits);
+	}
+	else
+	{
+		Object.assign(hostLimitDefaults, limits);
+	}
+
+	logEnd();
+}
+
+/**
+ * Gets the limits for requests to a host
+ * @param {?string} [host] - The host; the limits for every host without its own if not given
+ * @returns {object} - requestsPerSecond, concurrency and delay
+ */
+export function getHostLimits(host = null)
+{
+	return Object.assign({}, host && hostLimits.has(host) ? hostLimits.get(host) : hostLimitDefaults);
+}
+
+/**
+ * Gets the queue of requests for a host
+ * @param {string} host - The host
+ * @returns {object}
+ */
+function getHostState(host)
+{
+	if(!hosts.has(host))
+	{
+		hosts.set(host, {host: host, active: 0, next: 0, crawlDelay: 0, queue: []});
+	}
+
+	return hosts.get(host);
+}
+
+/**
+ * Waits until the host's limits allow another request
+ * @param {string} url - The url to be requested
+ * @returns {Promise<function>} - A function to call once the request has finished
+ */
+async function acquireHost(url)
+{
+	const state = getHostState(new URL(url).host);
+	await new Promise(resolve =>
+	                  {
+		                  state.queue.push(resolve);
+		                  runHostQueue(state);
+	                  });
+
+	let released = false;
+
+	return () =>
+	{
+		if(!released)
+		{
+			released = true;
+			state.active--;
+			runHostQueue(state);
+		}
+	};
+}
+
+/**
+ * Starts as many of the host's queued requests as its limits allow
+ * @param {object} state - The host's queue
+ */
+function runHostQueue(state)
+{
+	const limits = getHostLimits(state.host);
+	const interval = Math.max(limits.delay, limits.requestsPerSecond ? 1000 / limits.requestsPerSecond : 0, state.crawlDelay);
+
+	while(state.active < limits.concurrency && state.queue.length > 0)
+	{
+		const now = Date.now();
+		const start = Math.max(now, state.next);
+		state.next = start + interval;
+		state.active++;
+		setTimeout(state.queue.shift(), start - now);
+	}
+}
+
+const robotsFiles = new Map();
+
+/**
+ * Determines whether a site's robots.txt allows a url to be fetched, following its Crawl-delay for later requests to the host
+ * @param {string} url - The url
+ * @param {string} [agent] - The user agent to find rules for
+ * @returns {Promise<boolean>}
+ */
+export async function isAllowedByRobots(url, agent = "*")
+{
+	logStart(url, agent);
+	const target = new URL(url);
+
+	if(!robotsFiles.has(target.origin))
+	{
+		robotsFiles.set(target.origin, fetchAsText(target.origin + "/robots.txt", {robots: false}).catch(err =>
+		{
+			log.warn("No usable robots.txt for " + target.origin + "; assuming everything is allowed (" + (err && err.message ? err.message : err) + ")");
+			return "";
+		}));
+	}
+
+	const group = getRobotsGroup(await robotsFiles.get(target.origin), agent);
+
+	if(group.crawlDelay)
+	{
+		const state = getHostState(target.host);
+		state.crawlDelay = Math.max(state.crawlDelay, group.crawlDelay * 1000);
+	}
+
+	let match = null;
+
+	for(const rule of group.rules)
+	{
+		if(rule.regex.test(target.pathname + target.search) && (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)))
+		{
+			match = rule;
+		}
+	}
+
+	const allowed = !match || match.allow;
+	logEnd(allowed);
+	return allowed;
+}
+
+/**
+ * Finds the rules in a robots.txt that apply to a user agent
+ * @param {string} text - The robots.txt
+ * @param {string} agent - The user agent
+ * @returns {object} - rules (path, regex and allow) and crawlDelay (in seconds)
+ */
+function getRobotsGroup(text, agent)
+{
+	const groups = [];
+	let group = null;
+	let readingAgents = false;
+
+	for(const rawLine of text.split(/\r?\n/))
+	{
+		const line = rawLine.replace(/#.*$/, "").trim();
+		const separator = line.indexOf(":");
+
+		if(separator === -1)
+		{
+			continue;
+		}
+
+		const field = line.slice(0, separator).trim().toLowerCase();
+		const value = line.slice(separator + 1).trim();
+
+		if(field === "user-agent")
+		{
+			if(!readingAgents)
+			{
+				group = {agents: [], rules: [], crawlDelay: 0};
+				groups.push(group);
+			}
+
+			group.agents.push(value.toLowerCase());
+			readingAgents = true;
+			continue;
+		}
+
+		readingAgents = false;
+
+		if(!group)
+		{
+			continue;
+		}
+
+		if((field === "allow" || field === "disallow") && value)
+		{
+			const pattern = value.replace(/[.+?^{}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+			group.rules.push({path: value, regex: new RegExp("^" + pattern), allow: field === "allow"});
+		}
+		else if(field === "crawl-delay")
+		{
+			group.crawlDelay = parseFloat(value) || 0;
+		}
+	}
+
+	const name = agent.toLowerCase();
+	const specific = groups.find(candidate => candidate.agents.some(groupAgent => groupAgent !== "*" && name.includes(groupAgent)));
+	const fallback = groups.find(candidate => candidate.agents.includes("*"));
+	return specific ? specific : (fallback ? fallback : {rules: [], crawlDelay: 0});
+}
+
+const errorBodyLength = 500;
+
+/**
+ * @class FetchError
+ * @description Thrown when a url could not be fetched successfully after all retries
+ */
+export class FetchError extends Error
+{
+	url;
+	attempts;
+	status;
+	body;
+	cause;
+
+	/**
+	 * @constructor
+	 * @param {string} url - The url
+	 * @param {number} attempts - The number of attempts made
+	 * @param {?number} status - The HTTP status of the last response, or null if there was no response
+	 * @param {?string} body - The body of the last response; only the start is kept
+	 * @param {any} [cause] - The error from the last attempt, if there was no response
+	 */
+	constructor(url, attempts, status, body, cause = null)
+	{
+		const reason = status !== null ? "status " + status : (cause && cause.message ? cause.message : cause);
+		super("Could not fetch " + url + " after " + attempts + " attempt" + (attempts === 1 ? "" : "s") + ": " + reason);
+		this.name = "FetchError";
+		this.url = url;
+		this.attempts = attempts;
+		this.status = status;
+		this.body = body !== null ? body.slice(0, errorBodyLength) : null;
+		this.cause = cause;
+	}
+}
+
+/**
+ * @class RobotsDisallowedError
+ * @description Thrown instead of fetching a url that the site's robots.txt disallows; nothing is requested, so attempts is 0 and status is null
+ */
+export class RobotsDisallowedError extends FetchError
+{
+	/**
+	 * @constructor
+	 * @param {string} url - The url
+	 */
+	constructor(url)
+	{
+		super(url, 0, null, null, "disallowed by robots.txt");
+		this.name = "RobotsDisallowedError";
+		this.message = "Disallowed by robots.txt: " + url;
+	}
+}
+
+/**
+ * @class CookieJar
+ * @description Keeps the cookies servers set and sends them back with later requests; pass one as the cookieJar option to share it between fetches
+ */
+export class CookieJar
+{
+	cookies = [];
+
+	/**
+	 * @constructor
+	 * @param {?object[]} [cookies] - Cookies to start with, as returned by toJSON
+	 */
+	constructor(cookies = null)
+	{
+		if(cookies)
+		{
+			this.cookies = cookies;
+		}
+	}
+
+	/**
+	 * Loads a cookie jar saved with save
+	 * @function load
+	 * @param {string} file - The filename
+	 * @returns {CookieJar}
+	 */
+	static load(file)
+	{
+		return new CookieJar(getObjFromFile(file));
+	}
+
+	/**
+	 * Stores a cookie from a Set-Cookie header; an expired cookie removes any it replaces
+	 * @function setCookie
+	 * @param {string} header - The Set-Cookie header
+	 * @param {string} url - The url of the response that set it
+	 */
+	setCookie(header, url)
+	{
+		const target = new URL(url);
+		const [pair, ...attributes] = header.split(";");
+		const separator = pair.indexOf("=");
+
+		if(separator === -1)
+		{
+			return;
+		}
+
+		const cookie = {
+			name    : pair.slice(0, separator).trim(),
+			value   : pair.slice(separator + 1).trim(),
+			domain  : target.hostname,
+			hostOnly: true,
+			path    : target.pathname.lastIndexOf("/") > 0 ? target.pathname.slice(0, target.pathname.lastIndexOf("/")) : "/",
+			expires : null,
+			secure  : false
+		};
+		let maxAge = null;
+
+		for(const attribute of attributes)
+		{
+			const [key, ...rest] = attribute.split("=");
+			const value = rest.join("=").trim();
+
+			switch(key.trim().toLowerCase())
+			{
+				case "domain":
+					if(value)
+					{
+						cookie.domain = value.replace(/^\./, "").toLowerCase();
+						cookie.hostOnly = false;
+					}
+					break;
+				case "path":
+					if(value.startsWith("/"))
+					{
+						cookie.path = value;
+					}
+					break;
+				case "expires":
+					cookie.expires = isNaN(Date.parse(value)) ? null : Date.parse(value);
+					break;
+				case "max-age":
+					maxAge = parseInt(value);
+					break;
+				case "secure":
+					cookie.secure = true;
+					break;
+			}
+		}
+
+		if(maxAge !== null && !isNaN(maxAge))
+		{
+			cookie.expires = Date.now() + maxAge * 1000;
+		}
+
+		if(!cookie.hostOnly && !matchesDomain(target.hostname, cookie.domain))
+		{
+			log.warn("Ignoring cookie " + cookie.name + " for " + cookie.domain + " set by " + target.hostname);
+			return;
+		}
+
+		this.cookies = this.cookies.filter(existing => existing.name !== cookie.name || existing.domain !== cookie.domain || existing.path !== cookie.path);
+
+		if(cookie.expires === null || cookie.expires > Date.now())
+		{
+			this.cookies.push(cookie);
+		}
+	}
+
+	/**
+	 * Gets the cookies to send with a request
+	 * @function getCookies
+	 * @param {string} url - The url
+	 * @returns {object[]} - The cookies; name, value, domain, hostOnly, path, expires and secure
+	 */
+	getCookies(url)
+	{
+		const target = new URL(url);
+		const now = Date.now();
+
+		const cookies = [];
+
+		for(const cookie of this.cookies)
+		{
+			const expired = cookie.expires !== null && cookie.expires <= now;
+			const insecure = cookie.secure && target.protocol !== "https:";
+			const domainMatches = cookie.hostOnly ? target.hostname === cookie.domain : matchesDomain(target.hostname, cookie.domain);
+			const pathMatches = target.pathname === cookie.path || target.pathname.startsWith(cookie.path.endsWith("/") ? cookie.path : cookie.path + "/");
+
+			if(!expired && !insecure && domainMatches && pathMatches)
+			{
+				cookies.push(cookie);
+			}
+		}
+
+		return cookies.sort((a, b) => b.path.length - a.path.length);
+	}
+
+	/**
+	 * Gets the Cookie header to send with a request
+	 * @function getCookieHeader
+	 * @param {string} url - The url
+	 * @returns {?string} - The header, or null if there are no cookies to send
+	 */
+	getCookieHeader(url)
+	{
+		const cookies = this.getCookies(url);
+		return cookies.length > 0 ? cookies.map(cookie => cookie.name + "=" + cookie.value).join("; ") : null;
+	}
+
+	/**
+	 * Removes every cookie
+	 * @function clear
+	 */
+	clear()
+	{
+		this.cookies = [];
+	}
+
+	/**
+	 * Gets the cookies that have not expired, for saving
+	 * @function toJSON
+	 * @returns {object[]}
+	 */
+	toJSON()
+	{
+		const now = Date.now();
+		return this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+	}
+
+	/**
+	 * Saves the cookies to a file
+	 * @function save
+	 * @param {string} file - The filename
+	 */
+	save(file)
+	{
+		writeJson(file, this.toJSON());
+	}
+}
+
+/**
+ * Determines whether a host is a domain or one of its subdomains
+ * @param {string} host - The host
+ * @param {string} domain - The domain
+ * @returns {boolean}
+ */
+function matchesDomain(host, domain)
+{
+	return host === domain || host.endsWith("." + domain);
+}
+
 /**
  * A function that repeats a string a given number of times
  * @param {string} str - The string to repeat
@@ -768,12 +1882,13 @@ export function tableToArrayOfObj(table, rawHeaders, unknownDataProcessor = null
  * @param {object[]} objArr - The object array
  * @param {?function} objProcessor - A function to use to process non-scalar data
  * @param {?string} qualifier - A string to use to qualify fields
+ * @param {?object} options - Options object; delimiter, quoting ("always", "needed" or "never"), lineEnding and bom (see candicsv.formatField)
  * @returns {string}
  */
-export function generateCsv(objArr, objProcessor = null, qualifier = "\"")
+export function generateCsv(objArr, objProcessor = null, qualifier = "\"", options = null)
 {
-	logStart(objArr, objProcessor, qualifier);
-	let out = "";
+	logStart(objArr, objProcessor, qualifier, options);
+	const format = Object.assign({qualifier: qualifier}, options);
 	const size = Object.keys(objArr[0]).length;
 	const headers = [];
 
@@ -782,7 +1897,7 @@ export function generateCsv(objArr, objProcessor = null, qualifier = "\"")
 		headers.push(header);
 	}
 
-	out += qualifier + headers.join(qualifier + "," + qualifier) + qualifier + "\n";
+	const rows = [headers];
 
 	for(const obj of objArr)
 	{
@@ -792,14 +1907,13 @@ export function generateCsv(objArr, objProcessor = null, qualifier = "\"")
 		{
 			const data = obj[header];
 
-			if(typeof data === "object")
+			if(data && typeof data === "object")
 			{
-				row.push(
-					qualifier + objProcessor(header, data).replaceAll(new RegExp(qualifier, "ig"), "") + qualifier);
+				row.push(objProcessor(header, data));
 			}
 			else
 			{
-				row.push(qualifier + obj[header].replaceAll(new RegExp(qualifier, "ig"), "") + qualifier);
+				row.push(data);
 			}
 		}
 
@@ -808,9 +1922,10 @@ export function generateCsv(objArr, objProcessor = null, qualifier = "\"")
 			throw "Row length " + row.length + " does not match csv size " + size;
 		}
 
-		out += row.join(",") + "\n";
+		rows.push(row);
 	}
 
+	const out = formatRows(rows, format) + (format.lineEnding ? format.lineEnding : "\n");
 	logEnd(out);
 	return out;
 }
@@ -1221,11 +2336,12 @@ export function analyzeSelector($, selector, separator = ">")
 /**
  * Fetches a Document from a given url
  * @param {string} url - The url
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object; see fetchAsText
  * @returns {Promise<Document>}
  */
-export async function fetchDocument(url)
+export async function fetchDocument(url, options = true)
 {
-	const html = await fetchAsText(url);
+	const html = await fetchAsText(url, options);
 	const dom = new JSDOM(html, {
 		url                 : url,
 		contentType         : "text/html",
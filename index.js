@@ -3,8 +3,10 @@
  * @exports candiutil
  * @exports candicsv
  * @exports canditeer
+ * @exports candirecipe
  */
 
 export * as candiutil from "./candiutil.js";
 export * as canditeer from "./canditeer.js";
 export * as candicsv from "./candicsv.js";
+export * as candirecipe from "./candirecipe.js";
@@ -1,35 +1,366 @@
+/**
+ * Formats a single field for output; qualifiers inside the data are doubled as per RFC 4180
+ * @function formatField
+ * @param {any} data - The field data
+ * @param {?object} format - Format object
+ * @param {string} [format.qualifier] - The quote character
+ * @param {string} [format.delimiter] - The field delimiter
+ * @param {string} [format.quoting] - "always" quotes every field, "needed" only those containing the qualifier, delimiter or a line break, "never" none
+ * @returns {string}
+ */
+export function formatField(data: any, format?: object | null): string;
+/**
+ * Formats an array of fields as a single CSV line (without a line ending)
+ * @function formatRow
+ * @param {any[]} row - The fields
+ * @param {?object} format - Format object; see formatField
+ * @returns {string}
+ */
+export function formatRow(row: any[], format?: object | null): string;
+/**
+ * Formats rows of fields as CSV text
+ * @function formatRows
+ * @param {any[][]} rows - The rows
+ * @param {?object} format - Format object; see formatField, plus lineEnding (defaults to "\n") and bom (prefix the text with a UTF-8 BOM)
+ * @returns {string}
+ */
+export function formatRows(rows: any[][], format?: object | null): string;
+/**
+ * Flattens nested objects into a single level object whose keys are the joined key paths; arrays and other values are kept as they are
+ * @function flattenObject
+ * @param {object} obj - The object
+ * @param {string} separator - The key path separator
+ * @param {string} [prefix] - The key path so far
+ * @param {object} [out] - The object to add the flattened keys to
+ * @returns {object}
+ */
+export function flattenObject(obj: object, separator?: string, prefix?: string, out?: object): object;
+/**
+ * Validates a row against a schema; empty values are only checked by required
+ * @function validateRow
+ * @param {object} schema - An object of header to rules; required, type (see matchesType), pattern (a regex), values (the allowed values) and validator (a function taking the value and row object and returning true, or false or a message)
+ * @param {object} obj - The row as an object keyed by the headers
+ * @param {number} row - The row number, for the issues
+ * @returns {object[]} - The issues; row, column, value, rule and message
+ */
+export function validateRow(schema: object, obj: object, row: number): object[];
+/**
+ * Formats a date using a pattern; YYYY, YY, MM, DD, HH, hh, mm, ss, SSS and A are replaced with the local date parts
+ * @function formatDate
+ * @param {Date} date - The date
+ * @param {string} pattern - The pattern, or "iso" for an ISO 8601 string
+ * @returns {string}
+ */
+export function formatDate(date: Date, pattern?: string): string;
+/**
+ * Lays out rows for output according to each column's array-cell expansion strategy:
+ * "explode" puts array values on extra rows leaving the other columns blank, "fill" also repeats the value above in blank cells,
+ * "join" joins array values into one cell with the separator, and "spread" puts them in numbered columns (tag_1, tag_2...)
+ * @function expandRows
+ * @param {string[]} headers - The headers
+ * @param {any[][]} rows - The rows; columns may be scalar or arrays
+ * @param {?object} settings - Settings object
+ * @param {string} [settings.expand] - The default strategy; "explode" if not given
+ * @param {string} [settings.separator] - The separator for "join"; ", " if not given
+ * @param {object} [settings.columns] - An object of header to column settings; expand, separator and those used by typeValue
+ * @param {string} [settings.locale] - The locale for number and currency columns
+ * @param {string} [settings.nullValue] - The text for null or missing values
+ * @returns {object} - The adjusted headers, the output rows and counts (how many output rows each input row became)
+ */
+export function expandRows(headers: string[], rows: any[][], settings?: object | null): object;
+/**
+ * Registers an output format for use with serialize and CSV.serialize
+ * @function registerFormat
+ * @param {string} name - The format name
+ * @param {function} serializer - A function taking (headers, rows, options) and returning the output text; options holds the CSV's format settings merged with any given options
+ * @param {boolean} [expand] - Whether the serializer is given the extra rows generated by array cells (as in CSVEntry.getOutputRows) or the rows with array cells intact
+ */
+export function registerFormat(name: string, serializer: Function, expand?: boolean): void;
+/**
+ * Renders rows in the given output format; array cells are expanded into extra rows for formats which require it, and every cell is converted by its column's type settings either way
+ * @function serialize
+ * @param {string} format - The format name; csv, tsv, jsonl, markdown, html or any registered format
+ * @param {string[]} headers - The headers
+ * @param {any[][]} rows - The rows; columns may be scalar or arrays
+ * @param {?object} options - Options passed to the serializer; see expandRows for array cells and formatRows for csv
+ * @returns {string}
+ */
+export function serialize(format: string, headers: string[], rows: any[][], options?: object | null): string;
 /**
  * @class CSV
- * @description Generates CSV files; accepts arrays and objects for rows, columns may be scalar or arrays
+ * @description Generates and parses CSV files; accepts arrays and objects for rows, columns may be scalar or arrays
  */
 export class CSV {
+    /**
+     * Parses CSV text into rows
+     * @function parse
+     * @param {string} text - The CSV text
+     * @param {?object} [options] - Options object
+     * @param {string} [options.delimiter] - The field delimiter; "," by default
+     * @param {string} [options.qualifier] - The quote character; '"' by default
+     * @param {boolean} [options.objects] - Return objects keyed by the header row
+     * @param {(boolean|string)} [options.group] - Merge the extra rows generated by array cells back into arrays; true to use the first column as the key, or a header name
+     * @returns {(any[][]|object[])} - The rows (including the header row) or the objects
+     */
+    static parse(text: string, options?: object | null): (any[][] | object[]);
+    /**
+     * Reads and parses a CSV file
+     * @function readFile
+     * @param {string} filename - The filename to read the csv from
+     * @param {?object} options - Options object; see parse
+     * @returns {(any[][]|object[])} - The rows (including the header row) or the objects
+     */
+    static readFile(filename: string, options?: object | null): (any[][] | object[]);
     /**
      * @constructor
      * @param {?(object|any[])} headersIn - Array of headers or an object whose keys will become the in-order headers
-     * @param {object} options - Options object; delimiter and qualifier
+     * @param {?object} [options] - Options object
+     * @param {string} [options.delimiter] - The field delimiter; "," by default
+     * @param {string} [options.qualifier] - The quote character; '"' by default
+     * @param {string} [options.quoting] - When fields are quoted; "always", "needed" or "never"
+     * @param {string} [options.lineEnding] - The line ending; "\n" by default
+     * @param {boolean} [options.bom] - Prefix the file with a UTF-8 BOM for Excel
+     * @param {(string|Writable)} [options.stream] - A filename or Writable to stream rows to as they are added instead of buffering them; see close
+     * @param {string} [options.expand] - How array cells are laid out; "explode", "fill", "join" or "spread", see expandRows
+     * @param {string} [options.separator] - The separator for "join"
+     * @param {object} [options.columns] - An object of header to column settings; expand and separator, plus those used by typeValue
+     * @param {string} [options.locale] - The locale for number and currency columns
+     * @param {string} [options.nullValue] - The text for null or missing values
+     * @param {boolean} [options.infer] - Add headers for unknown keys passed to addObject, leaving missing keys as empty cells
+     * @param {(boolean|string)} [options.flatten] - Flatten nested objects passed to addObject into column names joined by "." or the given separator, e.g. address.city
+     * @param {object} [options.schema] - An object of header to rules; see validateRow
+     * @param {string} [options.validation] - What happens to rows which break the schema, have the wrong length or have keys with no header; "throw" a CSVValidationError, "skip" them or "keep" them, recording the issues in validationErrors for the latter two
      */
-    constructor(headersIn: (object | any[]) | null, options?: object);
+    constructor(headersIn: (object | any[]) | null, options?: object | null);
     currentLine: any;
     headers: any;
     entries: any[];
     qualifier: string;
     delimeter: string;
+    quoting: string;
+    lineEnding: string;
+    bom: boolean;
+    stream: any;
+    ownsStream: boolean;
+    streamError: any;
+    started: boolean;
+    expand: string;
+    separator: string;
+    columns: {};
+    infer: boolean;
+    flatten: boolean;
+    locale: any;
+    nullValue: string;
+    schema: any;
+    validation: string;
+    validationErrors: any[];
+    rowCount: number;
     /**
      * Adds an array as a line
      * @function addLine
      * @param {any[]} line - Array of data (represents a row)
+     * @returns {?Promise<void>} - In streaming mode, resolves once the stream is ready for more rows
      */
-    addLine(line: any[]): void;
+    addLine(line: any[]): Promise<void> | null;
     /**
      * Adds an object to the CSV file; the headers are used to match the object's keys
      * @function addObject
      * @param {object} obj
+     * @returns {?Promise<void>} - In streaming mode, resolves once the stream is ready for more rows
+     */
+    addObject(obj: object): Promise<void> | null;
+    /**
+     * Adds a header; entries which were added before it have an empty cell in the new column
+     * @function addHeader
+     * @param {string} header - The header
+     * @throws Error if the header row has already been streamed
      */
-    addObject(obj: object): void;
+    addHeader(header: string): void;
+    /**
+     * Buffers the entry, or writes it straight out in streaming mode
+     * @function addEntry
+     * @param {CSVEntry} entry - The entry
+     * @param {object[]} [issues] - Issues already found while building the entry; see validate
+     * @returns {?Promise<void>}
+     */
+    addEntry(entry: CSVEntry, issues?: object[]): Promise<void> | null;
+    /**
+     * Validates an entry against the schema
+     * @function validate
+     * @param {CSVEntry} entry - The entry
+     * @param {object[]} [issues] - Issues already found while building the entry (a wrong length or an unknown header); column, value, rule and message
+     * @returns {boolean} - Whether the entry should be added
+     * @throws CSVValidationError if the entry is invalid and the validation mode is "throw"
+     */
+    validate(entry: CSVEntry, issues?: object[]): boolean;
+    /**
+     * Writes the validation issues collected in "skip" or "keep" mode to a csv file
+     * @function writeReport
+     * @param {string} filename - The filename to write the report to
+     */
+    writeReport(filename: string): void;
+    /**
+     * Writes rows to the stream, preceded by the header row if nothing has been written yet; waits for the stream to drain if its buffer is full
+     * @function writeRows
+     * @param {any[][]} rows - The rows
+     * @returns {Promise<void>}
+     */
+    writeRows(rows: any[][]): Promise<void>;
+    /**
+     * Waits for an event on the stream, rejecting with the stream's error if it fails first or has already failed
+     * @function waitForStream
+     * @param {string} event - The event
+     * @returns {Promise<void>}
+     */
+    waitForStream(event: string): Promise<void>;
+    /**
+     * Finishes streaming; writes the header row if no rows were added, then ends the stream if it was opened from a filename, or waits for a given stream to drain
+     * @function close
+     * @returns {Promise<void>}
+     */
+    close(): Promise<void>;
     /**
      * Writes the csv file
      * @function writeFile
      * @param {string} filename - The filename to write the csv to
+     * @param {string} [format] - The output format; see serialize
+     * @param {?object} [options] - Options passed to the serializer, overriding this CSV's format settings
+     */
+    writeFile(filename: string, format?: string, options?: object | null): void;
+    /**
+     * Appends the entries to an existing csv file, whose header row must match this CSV's; writes a new file if it does not exist
+     * @function appendFile
+     * @param {string} filename - The filename of the csv
+     * @returns {object} - Summary; inserted, updated and unchanged row counts
+     * @throws Error if the file's header row does not match
+     */
+    appendFile(filename: string): object;
+    /**
+     * Merges the entries into an existing csv file by a primary key column; rows with a new key are added, rows whose key exists replace the existing row if they differ, and other existing rows are kept; writes a new file if it does not exist
+     * @function mergeFile
+     * @param {string} filename - The filename of the csv
+     * @param {string} key - The header of the primary key column
+     * @returns {object} - Summary; inserted, updated and unchanged (matching an existing row exactly) row counts
+     * @throws Error if the file's header row does not match
+     */
+    mergeFile(filename: string, key: string): object;
+    /**
+     * Lays out the entries as they would be written, with every cell as text
+     * @function getOutputTable
+     * @param {string} action - The action needing the entries, for the error message
+     * @returns {object} - The headers and output rows
+     */
+    getOutputTable(action: string): object;
+    /**
+     * Checks the header row of existing csv text matches the given headers
+     * @function checkHeaderRow
+     * @param {string} filename - The filename, for the error message
+     * @param {string} text - The csv text
+     * @param {string[]} headers - The expected headers
+     * @throws Error if the header row does not match
+     */
+    checkHeaderRow(filename: string, text: string, headers: string[]): void;
+    /**
+     * Renders the entries in the given output format
+     * @function serialize
+     * @param {string} [format] - The format name; csv, tsv, jsonl, markdown, html or any registered format
+     * @param {?object} [options] - Options passed to the serializer, overriding this CSV's format settings
+     * @returns {string}
+     */
+    serialize(format?: string, options?: object | null): string;
+    /**
+     * Gets the buffered entries, throwing in streaming mode where rows have already been written
+     * @function getEntries
+     * @param {string} action - The action needing the entries, for the error message
+     * @returns {CSVEntry[]}
+     */
+    getEntries(action: string): CSVEntry[];
+    /**
+     * Sorts the entries by one or more headers; later headers break ties in earlier ones
+     * @function sort
+     * @param {...(string|object)} keys - Headers, or objects with header, descending and comparator (a function comparing two values; numbers are compared numerically and everything else as text if not given)
+     * @returns {CSV}
+     */
+    sort(...keys: (string | object)[]): CSV;
+    /**
+     * Removes the entries which do not pass the predicate
+     * @function filter
+     * @param {function} predicate - A function taking the entry as an object keyed by the headers and returning whether to keep it
+     * @returns {CSV}
+     */
+    filter(predicate: Function): CSV;
+    /**
+     * Removes entries which duplicate an earlier entry in the given headers
+     * @function dedupe
+     * @param {?string[]} [keys] - The headers which identify an entry; all headers if not given
+     * @param {boolean} [keepLast] - Whether to keep the last duplicate rather than the first
+     * @returns {CSV}
+     */
+    dedupe(keys?: string[] | null, keepLast?: boolean): CSV;
+    /**
+     * Gets the output format settings of this CSV for use with formatRows
+     * @function getFormat
+     * @returns {object}
+     */
+    getFormat(): object;
+}
+/**
+ * @class CSVValidationError
+ * @description Thrown when a row breaks the CSV's schema; describes the first issue, with every issue for the row in issues
+ */
+export class CSVValidationError extends Error {
+    /**
+     * @constructor
+     * @param {object[]} issues - The issues; row, column, value, rule and message
+     */
+    constructor(issues: object[]);
+    row: any;
+    column: any;
+    value: any;
+    rule: any;
+    issues: any[];
+}
+/**
+ * @class CSVEntry
+ * @description Represents a CSV line, but may contain an array in one or more columns which will generate additional rows.
+ */
+declare class CSVEntry {
+    constructor(headersIn: any, dataIn?: any);
+    headers: any;
+    data: any[];
+    /**
+     * Gets the data as an object keyed by the headers
+     * @function toObject
+     * @returns {object}
+     */
+    toObject(): object;
+    /**
+     * Get the data in the given key
+     * @function get
+     * @param {string} header - The key
+     * @returns {*} - The data
+     */
+    get(header: string): any;
+    /**
+     * Finds the index of the given header
+     * @function indexOf
+     * @param header - The header
+     * @returns {number} - The index
+     */
+    indexOf(header: any): number;
+    /**
+     * Adds a value under the given header; supports adding multiple values which will become an array and, thus, multiple CSV lines
+     * @function add
+     * @param {string} header - The header
+     * @param value - The value to add
+     */
+    add(header: string, value: any): void;
+    /**
+     * Assembles the data into proper output-able CSV rows (minus qualifiers and delimeters)
+     * @function getOutputRows
+     * @param {?boolean[]} [fill] - Per column, whether blank cells on the extra rows repeat the value above rather than staying blank
+     * @returns {*[][]}
      */
-    writeFile(filename: string): void;
+    getOutputRows(fill?: boolean[] | null): any[][];
 }
+export {};
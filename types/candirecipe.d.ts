@@ -0,0 +1,8 @@
+/**
+ * Runs a scrape recipe; opens (and closes) its own session unless one is given
+ * @param {(object|string)} recipe - The recipe, or the filename of a JSON recipe
+ * @param {?Canditeer} [session] - An initialised session to run the recipe with
+ * @returns {Promise<object[]>} - The results
+ */
+export function runRecipe(recipe: (object | string), session?: Canditeer | null): Promise<object[]>;
+import { Canditeer } from "./canditeer.js";
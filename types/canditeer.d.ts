@@ -1,3 +1,15 @@
+/**
+ * Closes the browsers of every initialised session
+ * @function closeAll
+ * @returns {Promise<void>}
+ */
+export function closeAll(): Promise<void>;
+/**
+ * Gets the session used by the module-level functions
+ * @function getDefaultSession
+ * @returns {Canditeer}
+ */
+export function getDefaultSession(): Canditeer;
 /**
  * Initialises the browser instance
  * @function init
@@ -24,10 +36,11 @@ export function getAttribute(elementIn: (object | string), attribute: string): P
  * @function getElement
  * @param {string} selector - The selector
  * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
- * @returns {Promise<puppeteer.ElementHandle>} - The found element
+ * @param {?object} [options] - Options object; see Canditeer.getElement
+ * @returns {Promise<?puppeteer.ElementHandle>} - The found element, or null if it could not be found
  * @throws Error if no selector is given
  */
-export function getElement(selector: string, ancestor?: (puppeteer.ElementHandle | puppeteer.Page) | null): Promise<puppeteer.ElementHandle>;
+export function getElement(selector: string, ancestor?: (puppeteer.ElementHandle | puppeteer.Page) | null, options?: object | null): Promise<puppeteer.ElementHandle | null>;
 /**
  * Gets all elements that match the given selector
  * @function getElements
@@ -42,17 +55,593 @@ export function getElements(selector: string, ancestor?: (puppeteer.ElementHandl
  * @function fetchPage
  * @param {string} url - The element or selector to find the element
  * @param {boolean} [setWith] - Whether to set the page as the page to use with canditeer
+ * @param {?object} [options] - Options object; see Canditeer.getWaitOptions
  * @returns {Page} - The value of the attribute
+ * @throws NavigationError if the page could not be loaded after all retries
+ */
+export function fetchPage(url: string, setWith?: boolean, options?: object | null): Page;
+/**
+ * Converts a table on the page to an array of objects
+ * @function getTable
+ * @param {(object|string)} elementIn - The table element or a selector to find it
+ * @param {string[]} rawHeaders - The headers to use for the data; supports the candiutil header syntax
+ * @param {?function} [unknownDataProcessor] - A function to use for processing unknown or unrecognised data
+ * @param {string} [rowSelector] - A CSS selector to select the rows of the table
+ * @param {?object} [options] - Options object; see Canditeer.getTable
+ * @returns {Promise<object[]>}
+ */
+export function getTable(elementIn: (object | string), rawHeaders: string[], unknownDataProcessor?: Function | null, rowSelector?: string, options?: object | null): Promise<object[]>;
+/**
+ * Saves the browser's cookies and the current page's localStorage to a file
+ * @function saveSession
+ * @param {?string} [file] - The filename; the sessionFile option if not given
+ * @returns {Promise<void>}
+ */
+export function saveSession(file?: string | null): Promise<void>;
+/**
+ * Restores cookies and localStorage saved by saveSession for every page opened afterwards
+ * @function restoreSession
+ * @param {?string} [file] - The filename; the sessionFile option if not given
+ */
+export function restoreSession(file?: string | null): void;
+/**
+ * Saves a screenshot of the current page
+ * @function screenshot
+ * @param {string} file - The filename; the extension decides the image type (png, jpeg or webp)
+ * @returns {Promise<void>}
+ */
+export function screenshot(file: string): Promise<void>;
+/**
+ * Saves the current page as a PDF (only supported by headless browsers)
+ * @function savePdf
+ * @param {string} file - The filename
+ * @returns {Promise<void>}
+ */
+export function savePdf(file: string): Promise<void>;
+/**
+ * Saves the HTML of the current page as currently rendered
+ * @function saveHtml
+ * @param {string} file - The filename
+ * @returns {Promise<void>}
+ */
+export function saveHtml(file: string): Promise<void>;
+/**
+ * Registers a handler for network responses whose url matches the pattern
+ * @function onResponse
+ * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+ * @param {function} handler - A function taking the puppeteer HTTPResponse
+ * @returns {function} - A function which removes the handler
+ */
+export function onResponse(pattern: (string | RegExp | Function), handler: Function): Function;
+/**
+ * Captures the bodies of network responses whose url matches the pattern
+ * @function captureResponses
+ * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+ * @returns {object[]} - An array which fills with url, status and body for each response
+ */
+export function captureResponses(pattern: (string | RegExp | Function)): object[];
+/**
+ * Clicks an element
+ * @function click
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {?object} [options] - Options object; see Canditeer.click
+ * @returns {Promise<void>}
  */
-export function fetchPage(url: string, setWith?: boolean): Page;
+export function click(elementIn: (object | string), options?: object | null): Promise<void>;
 /**
- * Closes the browser window if necessary
+ * Types text into an element
+ * @function type
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {string} text - The text to type
+ * @param {?object} [options] - Options object; see Canditeer.type
+ * @returns {Promise<void>}
+ */
+export function type(elementIn: (object | string), text: string, options?: object | null): Promise<void>;
+/**
+ * Chooses options in a select element
+ * @function select
+ * @param {(object|string)} elementIn - The element or selector to find the element
+ * @param {...string} values - The values of the options to choose
+ * @returns {Promise<string[]>} - The values that were chosen
+ */
+export function select(elementIn: (object | string), ...values: string[]): Promise<string[]>;
+/**
+ * Scrolls to the bottom of the current page repeatedly until no new items appear
+ * @function scroll
+ * @param {?string} [itemSelector] - A selector for the items being loaded
+ * @param {?object} [options] - Options object; see Canditeer.scroll
+ * @returns {Promise<number>} - The number of items (or the page height) at the end
+ */
+export function scroll(itemSelector?: string | null, options?: object | null): Promise<number>;
+/**
+ * Walks through pages by clicking the next button, extracting results from each page
+ * @function paginate
+ * @param {string} nextSelector - A selector for the next page button or link
+ * @param {function} extractFn - A function taking the current page and the page number and returning the results for the page
+ * @param {?object} [options] - Options object; see Canditeer.paginate
+ * @returns {Promise<any[]>} - The results from every page
+ */
+export function paginate(nextSelector: string, extractFn: Function, options?: object | null): Promise<any[]>;
+/**
+ * Creates a pool of pages for fetching many urls with bounded concurrency and per-host rate limiting
+ * @function createPool
+ * @param {?object} options - Options object; see PagePool
+ * @returns {PagePool}
+ */
+export function createPool(options?: object | null): PagePool;
+/**
+ * Closes the browser and every page opened with it
  * @function done
+ * @returns {Promise<void>}
  */
 export function done(): Promise<void>;
+/**
+ * Runs a function with a new session, closing the session's browser afterwards whether or not the function succeeds
+ * @function withBrowser
+ * @param {function} fn - An async function taking the initialised session
+ * @param {?object} [options] - Options object; see Canditeer
+ * @returns {Promise<any>} - The result of the function
+ */
+export function withBrowser(fn: Function, options?: object | null): Promise<any>;
 /**
  * Sets the page as the current page to use with canditeer
  * @function withPage
  * @param {puppeteer.Page} page - The page
  */
 export function withPage(page: puppeteer.Page): void;
+/**
+ * @class Canditeer
+ * @description A scraping session; owns its own browser, pages and options so several sessions can run side by side in one process
+ */
+export class Canditeer {
+    /**
+     * @constructor
+     * @param {?object} [options] - Options object, which also takes waitUntil, timeout, elementTimeout, retries and backoff as the defaults for navigation and element lookup (see getWaitOptions)
+     * @param {boolean} [options.showBrowser] - Whether to show the browser window
+     * @param {object} [options.launchOptions] - Extra options for puppeteer.launch
+     * @param {string[]} [options.blockResources] - Resource types not to load, e.g. image, font, stylesheet, media
+     * @param {Array} [options.blockUrls] - Url patterns not to load; strings contained in the url, regexes or functions taking the url
+     * @param {object} [options.headers] - Extra HTTP headers for every request
+     * @param {string} [options.userAgent] - The user agent for every page
+     * @param {object[]} [options.cookies] - Cookie objects as for page.setCookie
+     * @param {string} [options.debugDir] - A directory to save a screenshot, the HTML and the console log of the page to whenever an element or page cannot be loaded
+     * @param {string} [options.sessionFile] - A file to persist cookies and localStorage to after logging in and restore them from on init
+     * @param {(string|RegExp|function)} [options.loginUrl] - A pattern for the url of the login page, as for blockUrls; being sent there means the session has expired
+     * @param {function} [options.onLogin] - An async function taking the session and a page which logs in; run when the login page is reached or logIn is called
+     * @param {boolean} [options.keepOpen] - Leave the browser running when done is called, e.g. to inspect a shown browser
+     * @param {number} [options.closeTimeout] - Milliseconds to wait for the browser to close before killing it
+     * @param {boolean} [options.exitHooks] - Whether to close the browser when the process is interrupted, terminated or has an unhandled rejection; defaults to true
+     */
+    constructor(options?: object | null);
+    browser: any;
+    showBrowser: boolean;
+    launchOptions: {};
+    currentPage: any;
+    pageStack: any[];
+    waitUntil: string;
+    timeout: number;
+    elementTimeout: number;
+    retries: number;
+    backoff: number;
+    blockResources: any[];
+    blockUrls: any[];
+    headers: any;
+    userAgent: any;
+    cookies: any[];
+    responseHandlers: any[];
+    debugDir: any;
+    consoleLogs: WeakMap<object, any>;
+    sessionFile: any;
+    savedCookies: any[];
+    localStorage: {};
+    loginUrl: any;
+    onLogin: any;
+    loggingIn: any;
+    loginPage: any;
+    pages: Set<any>;
+    keepOpen: boolean;
+    closeTimeout: number;
+    exitHooks: boolean;
+    /**
+     * Initialises the browser instance, restoring the persisted session if there is one
+     * @function init
+     * @param {?boolean} [showBrowserIn] - Whether to show the browser window; uses the session's option if not given
+     */
+    init(showBrowserIn?: boolean | null): Promise<void>;
+    /**
+     * Saves the browser's cookies and the page's localStorage to a file, keeping localStorage saved earlier for other origins
+     * @function saveSession
+     * @param {?string} [file] - The filename; the sessionFile option if not given
+     * @param {?puppeteer.Page} [page] - The page to read localStorage from; the current page if not given
+     * @returns {Promise<void>}
+     */
+    saveSession(file?: string | null, page?: puppeteer.Page): Promise<void>;
+    /**
+     * Remembers the browser's cookies and the page's localStorage as the session to apply to every page opened afterwards
+     * @function captureSession
+     * @param {?puppeteer.Page} [page] - The page to read localStorage from; the current page if not given
+     * @returns {Promise<void>}
+     */
+    captureSession(page?: puppeteer.Page): Promise<void>;
+    /**
+     * Restores cookies and localStorage saved by saveSession; they are applied to every page opened afterwards
+     * @function restoreSession
+     * @param {?string} [file] - The filename; the sessionFile option if not given
+     */
+    restoreSession(file?: string | null): void;
+    /**
+     * Runs the login hook and remembers the new session for later pages, saving it if there is a sessionFile; concurrent calls share one login
+     * @function logIn
+     * @param {?puppeteer.Page} [page] - The page to log in with; a new page which is closed afterwards if not given
+     * @returns {Promise<void>}
+     * @throws Error if no login hook is set
+     */
+    logIn(page?: puppeteer.Page): Promise<void>;
+    /**
+     * Determines whether the page is on the login page, meaning the session has expired
+     * @function isLoginPage
+     * @param {puppeteer.Page} page - The page
+     * @returns {boolean}
+     */
+    isLoginPage(page: puppeteer.Page): boolean;
+    /**
+     * Gets the text content from a given element or selector
+     * @function getText
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @returns {Promise<any>} - The text content of the element
+     */
+    getText(elementIn: (object | string)): Promise<any>;
+    /**
+     * Gets an attribute from the given element instance (can find the element first if given a selector)
+     * @function getAttribute
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @param {string} attribute - Any ancestor of the element; used as a search base
+     * @returns {Promise<any>} - The value of the attribute
+     */
+    getAttribute(elementIn: (object | string), attribute: string): Promise<any>;
+    /**
+     * Gets an element (or returns the parameter if given an Element)
+     * @function findElement
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @param {?object} [options] - Options object; overrides the session's elementTimeout, retries and backoff
+     * @returns {puppeteer.ElementHandle} - The element
+     * @throws ElementNotFoundError if the element cannot be found and isn't given
+     */
+    findElement(elementIn: (object | string), options?: object | null): puppeteer.ElementHandle;
+    /**
+     * Gets the navigation and element lookup settings, overridden by the given options
+     * @function getWaitOptions
+     * @param {?object} [options] - Options object
+     * @param {string} [options.waitUntil] - When navigation is done; load, domcontentloaded, networkidle0 or networkidle2
+     * @param {number} [options.timeout] - The navigation timeout in milliseconds
+     * @param {string} [options.waitForSelector] - A selector that must appear after navigating
+     * @param {(function|string)} [options.waitForFunction] - A function or expression that must become truthy in the page after navigating
+     * @param {number} [options.elementTimeout] - Milliseconds to wait for a selector to appear when looking up elements; 0 to not wait
+     * @param {number} [options.retries] - Extra attempts for failed navigation or missing elements
+     * @param {number} [options.backoff] - Milliseconds before the first retry, doubling for each one after
+     * @returns {object}
+     */
+    getWaitOptions(options?: object | null): object;
+    /**
+     * Gets the ancestor to use for the current context
+     * @function getAncestorFrom
+     * @param {?(puppeteer.ElementHandle|puppeteer.Page)} ancestor - The ancestor input
+     * @returns {(puppeteer.ElementHandle|puppeteer.Page)} - The ancestor
+     * @throws Error if no ancestor is given and no current page is set
+     */
+    getAncestorFrom(ancestor: (puppeteer.ElementHandle | puppeteer.Page) | null): (puppeteer.ElementHandle | puppeteer.Page);
+    /**
+     * Gets an element instance from the given selector, waiting for it to appear and retrying if the session or options say to
+     * @function getElement
+     * @param {string} selector - The selector
+     * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
+     * @param {?object} [options] - Options object; overrides the session's elementTimeout, retries and backoff
+     * @returns {Promise<?puppeteer.ElementHandle>} - The found element, or null if it could not be found
+     * @throws Error if no selector is given
+     */
+    getElement(selector: string, ancestor?: (puppeteer.ElementHandle | puppeteer.Page) | null, options?: object | null): Promise<puppeteer.ElementHandle | null>;
+    /**
+     * Gets all elements that match the given selector
+     * @function getElements
+     * @param {string} selector - The selector
+     * @param {?(puppeteer.ElementHandle|puppeteer.Page)} [ancestor] - Any ancestor of the element; used as a search base
+     * @returns {Promise<puppeteer.ElementHandle[]>} - The element found
+     * @throws Error if no selector is given
+     */
+    getElements(selector: string, ancestor?: (puppeteer.ElementHandle | puppeteer.Page) | null): Promise<puppeteer.ElementHandle[]>;
+    /**
+     * Converts a table on the page to an array of objects, as candiutil.tableToArrayOfObj does for HTML; the table is read as currently rendered, so tables built by JavaScript work too
+     * @function getTable
+     * @param {(object|string)} elementIn - The table element or a selector to find it
+     * @param {string[]} rawHeaders - The headers to use for the data; supports the candiutil header syntax
+     * @param {?function} [unknownDataProcessor] - A function to use for processing unknown or unrecognised data
+     * @param {string} [rowSelector] - A CSS selector to select the rows of the table
+     * @param {?object} [options] - Options object; the element lookup settings (see getWaitOptions)
+     * @returns {Promise<object[]>}
+     */
+    getTable(elementIn: (object | string), rawHeaders: string[], unknownDataProcessor?: Function | null, rowSelector?: string, options?: object | null): Promise<object[]>;
+    /**
+     * Clicks an element
+     * @function click
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @param {?object} [options] - Options object; navigate (wait for the page to navigate after clicking), plus the navigation and element lookup settings (see getWaitOptions)
+     * @returns {Promise<void>}
+     */
+    click(elementIn: (object | string), options?: object | null): Promise<void>;
+    /**
+     * Types text into an element
+     * @function type
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @param {string} text - The text to type
+     * @param {?object} [options] - Options object; clear (empty the element first, default true), delay (milliseconds between key presses), plus the element lookup settings (see getWaitOptions)
+     * @returns {Promise<void>}
+     */
+    type(elementIn: (object | string), text: string, options?: object | null): Promise<void>;
+    /**
+     * Chooses options in a select element
+     * @function select
+     * @param {(object|string)} elementIn - The element or selector to find the element
+     * @param {...string} values - The values of the options to choose
+     * @returns {Promise<string[]>} - The values that were chosen
+     */
+    select(elementIn: (object | string), ...values: string[]): Promise<string[]>;
+    /**
+     * Scrolls to the bottom of the current page repeatedly until no new items appear, for infinitely scrolling pages
+     * @function scroll
+     * @param {?string} [itemSelector] - A selector for the items being loaded; the page height is compared instead if not given
+     * @param {?object} [options] - Options object
+     * @param {number} [options.delay] - Milliseconds to wait for items after each scroll; 1000 by default
+     * @param {number} [options.attempts] - Scrolls with nothing new before stopping; 2 by default
+     * @param {number} [options.maxScrolls] - The most scrolls to make; 100 by default
+     * @returns {Promise<number>} - The number of items (or the page height) at the end
+     */
+    scroll(itemSelector?: string | null, options?: object | null): Promise<number>;
+    /**
+     * Walks through pages by clicking the next button, extracting results from each page until the button is missing or disabled
+     * @function paginate
+     * @param {string} nextSelector - A selector for the next page button or link
+     * @param {function} extractFn - A function taking the current page and the page number (starting from 1) and returning the results for the page; arrays are concatenated
+     * @param {?object} [options] - Options object, which also takes the navigation settings (see getWaitOptions)
+     * @param {number} [options.maxPages] - The most pages to visit
+     * @param {boolean} [options.navigate] - Wait for navigation after clicking; true by default
+     * @param {string} [options.waitForSelector] - A selector to wait for after clicking, for pages updated in place
+     * @returns {Promise<any[]>} - The results from every page
+     */
+    paginate(nextSelector: string, extractFn: Function, options?: object | null): Promise<any[]>;
+    /**
+     * Fetches the page from the given url
+     * @function fetchPage
+     * @param {string} url - The element or selector to find the element
+     * @param {boolean} [setWith] - Whether to set the page as the page to use with canditeer
+     * @param {?object} [options] - Options object; overrides the session's navigation settings (see getWaitOptions)
+     * @returns {Page} - The value of the attribute
+     * @throws NavigationError if the page could not be loaded after all retries
+     */
+    fetchPage(url: string, setWith?: boolean, options?: object | null): Page;
+    /**
+     * Opens a new page set up with the session's blocking, headers, user agent, cookies and response handlers
+     * @function newPage
+     * @returns {Promise<puppeteer.Page>}
+     */
+    newPage(): Promise<puppeteer.Page>;
+    /**
+     * Determines whether a request should be blocked
+     * @function isBlocked
+     * @param {puppeteer.HTTPRequest} request - The request
+     * @returns {boolean}
+     */
+    isBlocked(request: puppeteer.HTTPRequest): boolean;
+    /**
+     * Passes a response to the handlers registered for its url
+     * @function handleResponse
+     * @param {puppeteer.HTTPResponse} response - The response
+     */
+    handleResponse(response: puppeteer.HTTPResponse): Promise<void>;
+    /**
+     * Registers a handler for network responses whose url matches the pattern, on every page the session opens
+     * @function onResponse
+     * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+     * @param {function} handler - A function taking the puppeteer HTTPResponse
+     * @returns {function} - A function which removes the handler
+     */
+    onResponse(pattern: (string | RegExp | Function), handler: Function): Function;
+    /**
+     * Captures the bodies of network responses whose url matches the pattern, e.g. /api/ JSON, as they arrive
+     * @function captureResponses
+     * @param {(string|RegExp|function)} pattern - A string contained in the url, a regex or a function taking the url
+     * @returns {object[]} - An array which fills with url, status and body (parsed if JSON) for each response
+     */
+    captureResponses(pattern: (string | RegExp | Function)): object[];
+    /**
+     * Saves a screenshot of the current page
+     * @function screenshot
+     * @param {string} file - The filename; the extension decides the image type (png, jpeg or webp)
+     * @param {?puppeteer.Page} [page] - The page; the current page if not given
+     * @returns {Promise<void>}
+     */
+    screenshot(file: string, page?: puppeteer.Page): Promise<void>;
+    /**
+     * Saves the current page as a PDF (only supported by headless browsers)
+     * @function savePdf
+     * @param {string} file - The filename
+     * @param {?puppeteer.Page} [page] - The page; the current page if not given
+     * @returns {Promise<void>}
+     */
+    savePdf(file: string, page?: puppeteer.Page): Promise<void>;
+    /**
+     * Saves the HTML of the current page as currently rendered
+     * @function saveHtml
+     * @param {string} file - The filename
+     * @param {?puppeteer.Page} [page] - The page; the current page if not given
+     * @returns {Promise<void>}
+     */
+    saveHtml(file: string, page?: puppeteer.Page): Promise<void>;
+    /**
+     * Saves a screenshot, the HTML and the console log of the page along with the error to the debug directory, if one is set; never throws
+     * @function captureFailure
+     * @param {?puppeteer.Page} page - The page
+     * @param {any} error - The error
+     * @returns {Promise<?string>} - The path the files were saved to, minus the extension
+     */
+    captureFailure(page: puppeteer.Page, error: any): Promise<string | null>;
+    /**
+     * Navigates a page to the url and waits for the page to be ready, retrying with backoff on failure
+     * @function navigate
+     * @param {puppeteer.Page} page - The page
+     * @param {string} url - The url
+     * @param {?object} [options] - Options object; overrides the session's navigation settings (see getWaitOptions)
+     * @returns {Promise<void>}
+     * @throws NavigationError if the page could not be loaded after all retries
+     */
+    navigate(page: puppeteer.Page, url: string, options?: object | null): Promise<void>;
+    /**
+     * Creates a pool of pages for fetching many urls with bounded concurrency and per-host rate limiting
+     * @function createPool
+     * @param {?object} options - Options object; see PagePool
+     * @returns {PagePool}
+     */
+    createPool(options?: object | null): PagePool;
+    /**
+     * Closes every page the session opened and then the browser, killing the browser process if it does not close within closeTimeout; with keepOpen, only disconnects from the browser
+     * @function done
+     * @returns {Promise<void>}
+     */
+    done(): Promise<void>;
+    /**
+     * Drops the session's references to its browser and pages
+     * @function forget
+     */
+    forget(): void;
+    /**
+     * Sets the page as the current page to use with canditeer
+     * @function withPage
+     * @param {puppeteer.Page} page - The page
+     */
+    withPage(page: puppeteer.Page): void;
+    /**
+     * Makes the page the current page, remembering the previous one so popPage can return to it
+     * @function pushPage
+     * @param {puppeteer.Page} page - The page
+     */
+    pushPage(page: puppeteer.Page): void;
+    /**
+     * Returns to the page that was current before the last pushPage
+     * @function popPage
+     * @returns {puppeteer.Page} - The page that was current
+     * @throws Error if there is no page to return to
+     */
+    popPage(): puppeteer.Page;
+}
+/**
+ * @class NavigationError
+ * @description Thrown when a page could not be loaded after all retries
+ */
+export class NavigationError extends Error {
+    /**
+     * @constructor
+     * @param {string} url - The url
+     * @param {number} attempts - The number of attempts made
+     * @param {any} cause - The error from the last attempt
+     */
+    constructor(url: string, attempts: number, cause: any);
+    url: string;
+    attempts: number;
+    cause: any;
+}
+/**
+ * @class ElementNotFoundError
+ * @description Thrown when an element could not be found after all retries
+ */
+export class ElementNotFoundError extends Error {
+    /**
+     * @constructor
+     * @param {string} selector - The selector
+     * @param {number} attempts - The number of attempts made
+     */
+    constructor(selector: string, attempts: number);
+    selector: string;
+    attempts: number;
+}
+/**
+ * @class PagePool
+ * @description Fetches queued urls on a bounded number of pages, rate limited per host; each url gets a promise for its result
+ */
+export class PagePool {
+    /**
+     * @constructor
+     * @param {Canditeer} session - The session whose browser opens the pages
+     * @param {?object} [options] - Options object
+     * @param {number} [options.concurrency] - Pages open at once; 4 by default
+     * @param {number} [options.hostConcurrency] - Pages open at once per host
+     * @param {number} [options.delay] - Minimum milliseconds between navigations to the same host
+     * @param {boolean} [options.reuse] - Keep pages open for the next url rather than closing them; true by default
+     * @param {object} [options.navigation] - Overrides the session's navigation settings; see Canditeer.getWaitOptions
+     */
+    constructor(session: Canditeer, options?: object | null);
+    session: Canditeer;
+    concurrency: number;
+    hostConcurrency: number;
+    delay: number;
+    reuse: boolean;
+    navigation: any;
+    queue: any[];
+    active: number;
+    idlePages: any[];
+    hosts: Map<any, any>;
+    drainWaiters: any[];
+    closed: boolean;
+    wakeTimer: any;
+    wakeAt: number;
+    /**
+     * Queues a url
+     * @function fetch
+     * @param {string} url - The url
+     * @param {?function} [handler] - A function taking the loaded page and the url and returning the result; the page's HTML is the result if not given
+     * @returns {Promise<any>} - The result for the url
+     */
+    fetch(url: string, handler?: Function | null): Promise<any>;
+    /**
+     * Queues several urls
+     * @function fetchAll
+     * @param {string[]} urls - The urls
+     * @param {?function} [handler] - See fetch
+     * @returns {Promise<any[]>} - The results, in the same order as the urls
+     */
+    fetchAll(urls: string[], handler?: Function | null): Promise<any[]>;
+    /**
+     * Gets the rate limiting state of a host
+     * @function getHost
+     * @param {string} host - The host
+     * @returns {object}
+     */
+    getHost(host: string): object;
+    /**
+     * Starts queued urls while there is capacity; a url only takes a slot once its host's delay has passed, so throttled hosts do not hold up the others
+     * @function next
+     */
+    next(): void;
+    /**
+     * Schedules next for when the earliest host that is only waiting out its delay becomes ready
+     * @function wakeForDelay
+     * @param {number} now - The current time
+     */
+    wakeForDelay(now: number): void;
+    /**
+     * Loads a url on a free page and settles its promise
+     * @function run
+     * @param {object} job - The queued url
+     */
+    run(job: object): Promise<void>;
+    /**
+     * Waits for every queued url to finish
+     * @function drain
+     * @returns {Promise<void>}
+     */
+    drain(): Promise<void>;
+    /**
+     * Stops accepting urls, waits for the queued ones to finish and closes the pool's pages
+     * @function close
+     * @returns {Promise<void>}
+     */
+    close(): Promise<void>;
+}
@@ -18,9 +18,10 @@ export function color(str: string, ...tags: string[]): string;
  * Fetch a url as a file, using cache if possible
  * @param {string} url - The url
  * @param {string} file - The filename to save the file as
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object; see fetchAsText
  * @returns {Promise<void>}
  */
-export function fetchAsFile(url: string, file: string): Promise<void>;
+export function fetchAsFile(url: string, file: string, options?: (boolean | object)): Promise<void>;
 /**
  * Get a file as a string
  * @param {string} file - The filename
@@ -40,7 +41,7 @@ export function getObjFromFile(file: string): object[];
  */
 export function writeFile(file: string, str: string): void;
 /**
- * Creates a directory
+ * Creates a directory, along with any missing parent directories
  * @param {string} dir - The directory to create
  */
 export function mkDir(dir: string): void;
@@ -51,12 +52,129 @@ export function mkDir(dir: string): void;
  */
 export function exists(file: string): boolean;
 /**
- * Fetches a url as raw text
+ * Sets the cache settings used when a fetch does not give its own
+ * @param {object} options - Options object
+ * @param {string} [options.cacheDir] - The cache directory
+ * @param {number} [options.ttl] - How long entries stay fresh in ms
+ * @param {boolean} [options.cacheControl] - Whether to follow the server's Cache-Control max-age, no-cache and no-store instead of ttl
+ */
+export function setCacheDefaults(options: {
+    cacheDir?: string;
+    ttl?: number;
+    cacheControl?: boolean;
+}): void;
+/**
+ * Gets the cache settings used when a fetch does not give its own
+ * @returns {object} - cacheDir, ttl and cacheControl
+ */
+export function getCacheDefaults(): object;
+/**
+ * Sets the request settings used when a fetch does not give its own
+ * @param {object} options - Options object
+ * @param {number} [options.timeout] - Ms before a request is aborted
+ * @param {number} [options.retries] - How many times to retry after a network error, a 429 or a 5xx
+ * @param {number} [options.backoff] - Ms to wait before the first retry; doubles with each retry
+ * @param {boolean} [options.robots] - Whether to refuse urls disallowed by the site's robots.txt and follow its Crawl-delay
+ * @param {string} [options.robotsAgent] - The user agent to find rules for in robots.txt
+ * @param {object} [options.headers] - Headers sent with every request, e.g. User-Agent
+ * @param {CookieJar} [options.cookieJar] - A CookieJar shared by every request
+ * @param {string[]} [options.keyHeaders] - The request headers that are part of the cache key, besides the cookies sent, which always are
+ * @param {boolean} [options.retryUnsafe] - Whether to retry methods other than GET, HEAD and OPTIONS, which might repeat their effect
+ */
+export function setFetchDefaults(options: {
+    timeout?: number;
+    retries?: number;
+    backoff?: number;
+    robots?: boolean;
+    robotsAgent?: string;
+    headers?: object;
+    cookieJar?: CookieJar;
+    keyHeaders?: string[];
+    retryUnsafe?: boolean;
+}): void;
+/**
+ * Gets the request settings used when a fetch does not give its own
+ * @returns {object} - timeout, retries, backoff, robots, robotsAgent, headers, cookieJar, keyHeaders and retryUnsafe
+ */
+export function getFetchDefaults(): object;
+/**
+ * Gets the cache key for a request; a hash of the method, the full url, the headers and the body
+ * @param {string} url - The url
+ * @param {string} [method] - The HTTP method
+ * @param {?string} [body] - The request body
+ * @param {?object} [headers] - The request headers that change the response
+ * @returns {string}
+ */
+export function getCacheKey(url: string, method?: string, body?: string | null, headers?: object | null): string;
+/**
+ * Gets the metadata of the cache entry for a url, without fetching anything
  * @param {string} url - The url
- * @param {boolean=true} doCache - Whether to use caching
+ * @param {?object} [options] - Options object; method, headers, body, form and json (as for the request), cacheDir, ttl and cacheControl
+ * @returns {?object} - url, method, status, headers, fetched and expires (timestamps in ms), expired and file (the cached body), or null if the url is not cached
+ */
+export function getCacheEntry(url: string, options?: object | null): object | null;
+/**
+ * Lists every entry in the cache
+ * @param {?object} [options] - Options object; cacheDir, ttl, cacheControl, and expired (only list expired entries)
+ * @returns {object[]} - The metadata of each entry (see getCacheEntry)
+ */
+export function listCache(options?: object | null): object[];
+/**
+ * Removes the cache entry for a url
+ * @param {string} url - The url
+ * @param {?object} [options] - Options object; method, headers, body, form and json (as for the request) and cacheDir
+ * @returns {boolean} - Whether there was an entry to remove
+ */
+export function invalidateCache(url: string, options?: object | null): boolean;
+/**
+ * Removes entries from the cache
+ * @param {?object} [options] - Options object; cacheDir, ttl, cacheControl, and expired (only remove expired entries)
+ * @returns {number} - The number of entries removed
+ */
+export function purgeCache(options?: object | null): number;
+/**
+ * Fetches a url as raw text; once a cached response expires it is revalidated with If-None-Match/If-Modified-Since
+ * if the server sent an ETag or Last-Modified, and a 304 keeps the cached copy. Only successful responses are cached
+ * @param {string} url - The url
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object, which also takes cacheDir, ttl and cacheControl to override the cache defaults (see setCacheDefaults)
+ * and timeout, retries, backoff, robots, robotsAgent, cookieJar, keyHeaders and retryUnsafe to override the request defaults (see setFetchDefaults)
+ * @param {boolean} [options.cache] - Whether to use caching; defaults to true for GET, HEAD and OPTIONS, otherwise false
+ * @param {object} [options.headers] - Headers added to the default headers
+ * @param {string} [options.method] - The request method; defaults to POST if there is a body, otherwise GET
+ * @param {(string|Buffer)} [options.body] - The request body
+ * @param {object} [options.form] - An object sent url encoded as the body
+ * @param {object} [options.json] - An object sent as JSON as the body
  * @returns {Promise<string>}
+ * @throws FetchError if the response is not successful, or the request failed, after all retries
+ * @throws RobotsDisallowedError if robots is set and the site's robots.txt disallows the url
  */
-export function fetchAsText(url: string, doCache?: boolean): Promise<string>;
+export function fetchAsText(url: string, options?: (boolean | object)): Promise<string>;
+/**
+ * Limits how often and how many requests at once are made to a host by fetchAsText, fetchDocument and fetchAsFile
+ * @param {object} options - Options object
+ * @param {number} [options.requestsPerSecond] - The most requests started per second
+ * @param {number} [options.concurrency] - The most requests in flight at once
+ * @param {number} [options.delay] - The least ms between the starts of two requests
+ * @param {?string} [host] - The host (e.g. example.com:8080) to set the limits for; the limits for every host without its own if not given
+ */
+export function setHostLimits(options: {
+    requestsPerSecond?: number;
+    concurrency?: number;
+    delay?: number;
+}, host?: string | null): void;
+/**
+ * Gets the limits for requests to a host
+ * @param {?string} [host] - The host; the limits for every host without its own if not given
+ * @returns {object} - requestsPerSecond, concurrency and delay
+ */
+export function getHostLimits(host?: string | null): object;
+/**
+ * Determines whether a site's robots.txt allows a url to be fetched, following its Crawl-delay for later requests to the host
+ * @param {string} url - The url
+ * @param {string} [agent] - The user agent to find rules for
+ * @returns {Promise<boolean>}
+ */
+export function isAllowedByRobots(url: string, agent?: string): Promise<boolean>;
 /**
  * Sanitises a string
  * @param {string} str - The string to sanitise
@@ -100,9 +218,10 @@ export function tableToArrayOfObj(table: HTMLTableElement, rawHeaders: string[],
  * @param {object[]} objArr - The object array
  * @param {?function} objProcessor - A function to use to process non-scalar data
  * @param {?string} qualifier - A string to use to qualify fields
+ * @param {?object} options - Options object; delimiter, quoting ("always", "needed" or "never"), lineEnding and bom (see candicsv.formatField)
  * @returns {string}
  */
-export function generateCsv(objArr: object[], objProcessor?: Function | null, qualifier?: string | null): string;
+export function generateCsv(objArr: object[], objProcessor?: Function | null, qualifier?: string | null, options?: object | null): string;
 /**
  * Rearranges and/or removes the keys of a given object array
  * @param {object[]} objs - The object array to rearrange
@@ -185,9 +304,10 @@ export function analyzeSelector($: object, selector: string, separator?: string)
 /**
  * Fetches a Document from a given url
  * @param {string} url - The url
+ * @param {(boolean|object)} [options] - Whether to use caching, or an options object; see fetchAsText
  * @returns {Promise<Document>}
  */
-export function fetchDocument(url: string): Promise<Document>;
+export function fetchDocument(url: string, options?: (boolean | object)): Promise<Document>;
 /**
  * Get data from the given HTML Table Element
  * @param {HTMLTableElement} table - The table
@@ -208,4 +328,92 @@ export function getTableHeaders(table: HTMLTableElement): string[];
  * @returns {*[]}
  */
 export function arrayToObjArr(arr: any, headers?: any): any[];
+/**
+ * @class FetchError
+ * @description Thrown when a url could not be fetched successfully after all retries
+ */
+export class FetchError extends Error {
+    /**
+     * @constructor
+     * @param {string} url - The url
+     * @param {number} attempts - The number of attempts made
+     * @param {?number} status - The HTTP status of the last response, or null if there was no response
+     * @param {?string} body - The body of the last response; only the start is kept
+     * @param {any} [cause] - The error from the last attempt, if there was no response
+     */
+    constructor(url: string, attempts: number, status: number | null, body: string | null, cause?: any);
+    url: string;
+    attempts: number;
+    status: number;
+    body: string;
+    cause: any;
+}
+/**
+ * @class RobotsDisallowedError
+ * @description Thrown instead of fetching a url that the site's robots.txt disallows; nothing is requested, so attempts is 0 and status is null
+ */
+export class RobotsDisallowedError extends FetchError {
+    /**
+     * @constructor
+     * @param {string} url - The url
+     */
+    constructor(url: string);
+}
+/**
+ * @class CookieJar
+ * @description Keeps the cookies servers set and sends them back with later requests; pass one as the cookieJar option to share it between fetches
+ */
+export class CookieJar {
+    /**
+     * Loads a cookie jar saved with save
+     * @function load
+     * @param {string} file - The filename
+     * @returns {CookieJar}
+     */
+    static load(file: string): CookieJar;
+    /**
+     * @constructor
+     * @param {?object[]} [cookies] - Cookies to start with, as returned by toJSON
+     */
+    constructor(cookies?: object[] | null);
+    cookies: any[];
+    /**
+     * Stores a cookie from a Set-Cookie header; an expired cookie removes any it replaces
+     * @function setCookie
+     * @param {string} header - The Set-Cookie header
+     * @param {string} url - The url of the response that set it
+     */
+    setCookie(header: string, url: string): void;
+    /**
+     * Gets the cookies to send with a request
+     * @function getCookies
+     * @param {string} url - The url
+     * @returns {object[]} - The cookies; name, value, domain, hostOnly, path, expires and secure
+     */
+    getCookies(url: string): object[];
+    /**
+     * Gets the Cookie header to send with a request
+     * @function getCookieHeader
+     * @param {string} url - The url
+     * @returns {?string} - The header, or null if there are no cookies to send
+     */
+    getCookieHeader(url: string): string | null;
+    /**
+     * Removes every cookie
+     * @function clear
+     */
+    clear(): void;
+    /**
+     * Gets the cookies that have not expired, for saving
+     * @function toJSON
+     * @returns {object[]}
+     */
+    toJSON(): object[];
+    /**
+     * Saves the cookies to a file
+     * @function save
+     * @param {string} file - The filename
+     */
+    save(file: string): void;
+}
 export const log: any;
@@ -1,3 +1,4 @@
 export * as candiutil from "./candiutil.js";
 export * as canditeer from "./canditeer.js";
 export * as candicsv from "./candicsv.js";
+export * as candirecipe from "./candirecipe.js";